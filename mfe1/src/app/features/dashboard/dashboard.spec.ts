@@ -1,25 +1,39 @@
 import { ComponentFixture, TestBed } from '@angular/core/testing';
-import { provideZonelessChangeDetection } from '@angular/core';
+import { provideZonelessChangeDetection, signal, type WritableSignal } from '@angular/core';
 
 import { Dashboard } from './dashboard';
+import { SHELL_CONTEXT_SIGNAL, resolveShellContext, type ShellContext } from '../../shell-context';
 
 describe('Dashboard', () => {
-  let component: Dashboard;
   let fixture: ComponentFixture<Dashboard>;
+  let context: WritableSignal<ShellContext>;
+
+  const text = () => (fixture.nativeElement as HTMLElement).textContent;
 
   beforeEach(async () => {
+    context = signal(resolveShellContext({ locale: 'en-US', theme: 'light' }));
+
     await TestBed.configureTestingModule({
       imports: [Dashboard],
-      providers: [provideZonelessChangeDetection()]
+      providers: [
+        provideZonelessChangeDetection(),
+        { provide: SHELL_CONTEXT_SIGNAL, useValue: context.asReadonly() }
+      ]
     })
     .compileComponents();
 
     fixture = TestBed.createComponent(Dashboard);
-    component = fixture.componentInstance;
-    fixture.detectChanges();
+    await fixture.whenStable();
   });
 
-  it('should create', () => {
-    expect(component).toBeTruthy();
+  it('should show the locale and theme of the shell context', () => {
+    expect(text()).toContain('Locale: en-US · Theme: light');
+  });
+
+  it('should follow live updates of the shell context', async () => {
+    context.set(resolveShellContext({ locale: 'de-DE', theme: 'dark' }));
+    await fixture.whenStable();
+
+    expect(text()).toContain('Locale: de-DE · Theme: dark');
   });
 });
@@ -1,4 +1,5 @@
-import { Component, signal } from '@angular/core';
+import { Component, inject, signal } from '@angular/core';
+import { SHELL_CONTEXT_SIGNAL } from '../../shell-context';
 
 @Component({
   selector: 'app-dashboard',
@@ -7,11 +8,16 @@ import { Component, signal } from '@angular/core';
   styleUrl: './dashboard.css',
 })
 export class Dashboard {
-  currentTime = signal(new Date().toLocaleString());
+  protected readonly shell = inject(SHELL_CONTEXT_SIGNAL);
+  currentTime = signal(this.formatTime());
 
   constructor() {
     setInterval(() => {
-      this.currentTime.set(new Date().toLocaleString());
+      this.currentTime.set(this.formatTime());
     }, 1000);
   }
+
+  private formatTime(): string {
+    return new Date().toLocaleString(this.shell().locale);
+  }
 }
@@ -0,0 +1,93 @@
+import { provideZonelessChangeDetection } from '@angular/core';
+import { TestBed } from '@angular/core/testing';
+import { SHELL_CONTEXT, SHELL_CONTEXT_SIGNAL, resolveShellContext } from './shell-context';
+
+describe('resolveShellContext', () => {
+  it('should fall back to the standalone defaults without a context', async () => {
+    const context = resolveShellContext();
+
+    expect(context.basePath).toBe('');
+    expect(context.path).toBe(location.pathname);
+    expect(context.params).toEqual({});
+    expect(context.query).toEqual({});
+    expect(context.hash).toBe('');
+    expect(context.state).toBeNull();
+    expect(context.slot).toBe('main');
+    expect(context.locale).toBe(navigator.language);
+    expect(['light', 'dark']).toContain(context.theme);
+    expect(context.user).toBeNull();
+    expect(await context.getAuthToken()).toBeNull();
+    expect(context.bus).toBeUndefined();
+    expect(context.store).toBeUndefined();
+  });
+
+  it('should keep the defaults for fields a partial context leaves out', async () => {
+    const context = resolveShellContext({ basePath: '/mfe1', path: '/orders/7' });
+
+    expect(context.basePath).toBe('/mfe1');
+    expect(context.path).toBe('/orders/7');
+    expect(context.params).toEqual({});
+    expect(context.query).toEqual({});
+    expect(context.slot).toBe('main');
+    expect(context.locale).toBe(navigator.language);
+    expect(context.user).toBeNull();
+    expect(await context.getAuthToken()).toBeNull();
+    expect(context.navigate).toEqual(jasmine.any(Function));
+  });
+
+  it('should keep the defaults for fields passed as undefined', () => {
+    const context = resolveShellContext({ basePath: '/mfe1', locale: undefined, slot: undefined, user: undefined });
+
+    expect(context.basePath).toBe('/mfe1');
+    expect(context.locale).toBe(navigator.language);
+    expect(context.slot).toBe('main');
+    expect(context.user).toBeNull();
+  });
+
+  it('should prefer the values passed by the shell', async () => {
+    const user = { id: 'alice', name: 'Alice Admin', roles: ['admin', 'user'] };
+    const context = resolveShellContext({
+      locale: 'de-DE',
+      theme: 'dark',
+      slot: 'sidebar',
+      params: { id: '7' },
+      user,
+      getAuthToken: async () => 'token'
+    });
+
+    expect(context.locale).toBe('de-DE');
+    expect(context.theme).toBe('dark');
+    expect(context.slot).toBe('sidebar');
+    expect(context.params).toEqual({ id: '7' });
+    expect(context.user).toEqual(user);
+    expect(await context.getAuthToken()).toBe('token');
+  });
+});
+
+describe('SHELL_CONTEXT', () => {
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      providers: [provideZonelessChangeDetection()]
+    });
+  });
+
+  it('should provide the standalone context outside the shell', async () => {
+    const context = TestBed.inject(SHELL_CONTEXT);
+
+    expect(context.basePath).toBe('');
+    expect(context.slot).toBe('main');
+    expect(context.user).toBeNull();
+    expect(await context.getAuthToken()).toBeNull();
+  });
+
+  it('should follow the mount-time context in the live signal by default', () => {
+    TestBed.overrideProvider(SHELL_CONTEXT, {
+      useValue: resolveShellContext({ basePath: '/mfe1', locale: 'de-DE' })
+    });
+
+    const live = TestBed.inject(SHELL_CONTEXT_SIGNAL);
+
+    expect(live().basePath).toBe('/mfe1');
+    expect(live().locale).toBe('de-DE');
+  });
+});
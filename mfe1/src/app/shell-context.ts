@@ -0,0 +1,110 @@
+import { InjectionToken, inject, signal, type Signal } from '@angular/core';
+
+/**
+ * Options accepted by the shell's navigate function
+ */
+export interface ShellNavigateOptions {
+  replace?: boolean;
+  state?: unknown;
+}
+
+/**
+ * The user signed in to the shell
+ */
+export interface ShellUser {
+  id: string;
+  name: string;
+  roles: string[];
+}
+
+/**
+ * Context the vanilla shell passes as the second argument of mount()
+ */
+export interface ShellContext {
+  /** Route the MFE is mounted under, e.g. "/mfe1" */
+  basePath: string;
+  /** The MFE's own sub-path below basePath, e.g. "/orders/7" */
+  path: string;
+  params: Record<string, string>;
+  query: Record<string, string | string[]>;
+  hash: string;
+  state: unknown;
+  /** Layout slot the MFE is mounted in */
+  slot: string;
+  locale: string;
+  theme: 'light' | 'dark' | string;
+  /** Navigate the shell; paths without a leading slash are relative to basePath */
+  navigate: (to: string, options?: ShellNavigateOptions) => Promise<unknown>;
+  /** Access token of the signed-in user, refreshed by the shell before it expires */
+  getAuthToken: () => Promise<string | null>;
+  /** The signed-in user at mount time; follow "shell/auth" in the store for changes */
+  user?: ShellUser | null;
+  /** Where to add stylesheets after mount: the MFE's shadow root when isolated, otherwise document.head */
+  styleRoot?: ShadowRoot | HTMLElement;
+  /** Event bus client scoped to this MFE (absent when running standalone) */
+  bus?: {
+    publish: (topic: string, payload: unknown) => void;
+    subscribe: (topic: string, handler: (payload: any, meta: any) => void, options?: { replay?: boolean }) => () => void;
+  };
+  /** Shared store client scoped to this MFE (absent when running standalone) */
+  store?: {
+    get: (key: string) => unknown;
+    set: (key: string, value: unknown) => void;
+    subscribe: (key: string, handler: (value: any, previous: any) => void) => () => void;
+  };
+}
+
+/**
+ * Context used when the app runs standalone, outside the shell
+ */
+export function createStandaloneContext(): ShellContext {
+  const prefersDark = typeof window !== 'undefined' &&
+    window.matchMedia?.('(prefers-color-scheme: dark)').matches;
+
+  return {
+    basePath: '',
+    path: typeof location !== 'undefined' ? location.pathname : '/',
+    params: {},
+    query: {},
+    hash: '',
+    state: null,
+    slot: 'main',
+    locale: typeof navigator !== 'undefined' ? navigator.language : 'en',
+    theme: prefersDark ? 'dark' : 'light',
+    navigate: async (to: string) => {
+      location.assign(to);
+    },
+    getAuthToken: async () => null,
+    user: null
+  };
+}
+
+/**
+ * Merge the context received from the shell over the standalone defaults
+ * Fields the shell leaves out or passes as undefined keep their defaults.
+ * @param context - Context passed to mount(), possibly partial
+ */
+export function resolveShellContext(context?: Partial<ShellContext>): ShellContext {
+  const provided = Object.entries(context ?? {}).filter(([, value]) => value !== undefined);
+  return { ...createStandaloneContext(), ...Object.fromEntries(provided) };
+}
+
+/**
+ * Injection token for the shell context
+ * Components use inject(SHELL_CONTEXT) to read route data, locale and theme
+ * or to navigate the shell. This is the context at mount time; use
+ * SHELL_CONTEXT_SIGNAL to follow updates.
+ */
+export const SHELL_CONTEXT = new InjectionToken<ShellContext>('SHELL_CONTEXT', {
+  providedIn: 'root',
+  factory: createStandaloneContext
+});
+
+/**
+ * Injection token for the live shell context
+ * Changes when the shell calls update() with new route params or context.
+ */
+export const SHELL_CONTEXT_SIGNAL = new InjectionToken<Signal<ShellContext>>('SHELL_CONTEXT_SIGNAL', {
+  providedIn: 'root',
+  factory: () => signal(inject(SHELL_CONTEXT)).asReadonly()
+});
@@ -1,59 +1,117 @@
-import { mount } from './bootstrap';
+import { bootstrap, getStatus, lifecycleVersion, mount, unmount, update, type MountedApp } from './bootstrap';
 
-describe('Bootstrap mount function', () => {
+describe('Bootstrap lifecycle', () => {
   let container: HTMLDivElement;
+  let mounted: MountedApp[];
+
+  /**
+   * Mount the app and unmount it after the test
+   */
+  async function mountApp(...args: Parameters<typeof mount>): Promise<MountedApp> {
+    const app = await mount(...args);
+    mounted.push(app);
+    return app;
+  }
 
   beforeEach(() => {
+    mounted = [];
     container = document.createElement('div');
     container.id = 'test-container';
     document.body.appendChild(container);
   });
 
   afterEach(() => {
-    if (container && container.parentNode) {
-      container.parentNode.removeChild(container);
-    }
-  });
-
-  it('should mount the Angular app to a container element', async () => {
-    const result = await mount(container);
-    
-    expect(result).toBeDefined();
-    expect(result.unmount).toBeDefined();
-    expect(typeof result.unmount).toBe('function');
-    
-    // Check that app-root was created
-    const appRoot = container.querySelector('app-root');
-    expect(appRoot).toBeTruthy();
+    mounted
+      .filter(app => app.getStatus().state === 'mounted')
+      .forEach(app => app.unmount());
+    container.remove();
   });
 
-  it('should mount the Angular app using a CSS selector', async () => {
-    const result = await mount('#test-container');
-    
-    expect(result).toBeDefined();
-    expect(result.unmount).toBeDefined();
-    
-    // Check that app-root was created
-    const appRoot = container.querySelector('app-root');
-    expect(appRoot).toBeTruthy();
+  it('should implement lifecycle contract version 2', async () => {
+    expect(lifecycleVersion).toBe(2);
+    await expectAsync(bootstrap()).toBeResolved();
+  });
+
+  it('should render the app into a new app-root in the container', async () => {
+    const app = await mountApp(container, { basePath: '/mfe1', path: '/orders/7' });
+
+    const appRoots = container.querySelectorAll('app-root');
+    expect(appRoots.length).toBe(1);
+    expect(appRoots[0].querySelector('h1')?.textContent).toContain('Hello, mfe1');
+
+    const status = getStatus(app);
+    expect(status.state).toBe('mounted');
+    expect(status.path).toBe('/orders/7');
+    expect(status.mountedAt).toEqual(jasmine.any(Date));
+    expect(status.updatedAt).toBeNull();
   });
 
-  it('should throw an error if container is not found', async () => {
+  it('should find the container by CSS selector', async () => {
+    await mountApp('#test-container');
+
+    expect(container.querySelector('app-root h1')).toBeTruthy();
+  });
+
+  it('should report the standalone path when mounted without a context', async () => {
+    const app = await mountApp(container);
+
+    expect(getStatus(app).path).toBe(location.pathname);
+  });
+
+  it('should reject a missing container without adding anything to the page', async () => {
+    const appRoots = document.querySelectorAll('app-root').length;
+
     await expectAsync(mount('#non-existent')).toBeRejectedWithError(/Container not found/);
+    expect(document.querySelectorAll('app-root').length).toBe(appRoots);
   });
 
-  it('should properly unmount and clean up the Angular app', async () => {
-    const result = await mount(container);
-    
-    // Verify app-root exists
-    let appRoot = container.querySelector('app-root');
-    expect(appRoot).toBeTruthy();
-    
-    // Unmount
-    result.unmount();
-    
-    // Verify app-root is removed
-    appRoot = container.querySelector('app-root');
-    expect(appRoot).toBeFalsy();
+  it('should mount inside a shadow root', async () => {
+    const shadowRoot = container.attachShadow({ mode: 'open' });
+    const mountPoint = document.createElement('div');
+    shadowRoot.appendChild(mountPoint);
+
+    const app = await mountApp(mountPoint, { styleRoot: shadowRoot });
+
+    expect(mountPoint.querySelector('app-root h1')).toBeTruthy();
+    await unmount(app);
+    expect(mountPoint.querySelector('app-root')).toBeNull();
+  });
+
+  it('should update the mounted app without remounting it', async () => {
+    const app = await mountApp(container, { basePath: '/mfe1', path: '/' });
+    const appRoot = container.querySelector('app-root');
+
+    await update({ basePath: '/mfe1', path: '/reports/42' }, app);
+
+    expect(container.querySelector('app-root')).toBe(appRoot);
+    expect(appRoot?.querySelector('h1')).toBeTruthy();
+    const status = getStatus(app);
+    expect(status.state).toBe('mounted');
+    expect(status.path).toBe('/reports/42');
+    expect(status.updatedAt).toEqual(jasmine.any(Date));
+  });
+
+  it('should remove the app-root and report the app as unmounted', async () => {
+    const sibling = document.createElement('p');
+    container.appendChild(sibling);
+    const app = await mountApp(container, { basePath: '/mfe1', path: '/' });
+    expect(getStatus(app).state).toBe('mounted');
+
+    await unmount(app);
+
+    expect(container.querySelector('app-root')).toBeNull();
+    expect(sibling.parentNode).toBe(container);
+    expect(getStatus(app).state).toBe('unmounted');
+  });
+
+  it('should hand out status snapshots', async () => {
+    const app = await mountApp(container, { path: '/' });
+    const before = getStatus(app);
+
+    await update({ path: '/later' }, app);
+
+    expect(before.path).toBe('/');
+    expect(before.updatedAt).toBeNull();
+    expect(getStatus(app).path).toBe('/later');
   });
 });
@@ -1,14 +1,55 @@
-import { bootstrapApplication } from '@angular/platform-browser';
-import type { ApplicationRef } from '@angular/core';
+import { bootstrapApplication, createApplication } from '@angular/platform-browser';
+import { APP_ID, mergeApplicationConfig, signal, type ApplicationRef } from '@angular/core';
 import { appConfig } from './app/app.config';
 import { App } from './app/app';
+import {
+  SHELL_CONTEXT,
+  SHELL_CONTEXT_SIGNAL,
+  resolveShellContext,
+  type ShellContext
+} from './app/shell-context';
+
+/**
+ * Lifecycle contract version implemented by this module (see the shell's lifecycle.js)
+ */
+export const lifecycleVersion = 2;
+
+/**
+ * Status reported to the shell through getStatus()
+ */
+export interface MountStatus {
+  state: 'mounted' | 'unmounted';
+  path: string;
+  mountedAt: Date;
+  updatedAt: Date | null;
+}
+
+/**
+ * Handle returned by mount() and passed back to update(), unmount() and getStatus()
+ */
+export interface MountedApp {
+  unmount: () => void;
+  update: (context: Partial<ShellContext>) => void;
+  getStatus: () => MountStatus;
+}
+
+/**
+ * One-time setup before the first mount
+ * Nothing is shared between mounts yet: each mount bootstraps its own Angular application.
+ */
+export async function bootstrap(): Promise<void> {}
 
 /**
  * Mount function for the vanilla shell to dynamically load this Angular MFE
  * @param container - CSS selector string or HTMLElement where the app should be mounted
- * @returns Promise that resolves to an object with an unmount function
+ * @param context - Shell context (base path, navigate, params, locale, theme, auth token provider),
+ *   exposed to components through the SHELL_CONTEXT and SHELL_CONTEXT_SIGNAL injection tokens
+ * @returns Promise that resolves to the handle of the mounted app
  */
-export async function mount(container: string | HTMLElement): Promise<{ unmount: () => void }> {
+export async function mount(
+  container: string | HTMLElement,
+  context?: Partial<ShellContext>
+): Promise<MountedApp> {
   // Get the container element
   const containerElement = typeof container === 'string' 
     ? document.querySelector(container) 
@@ -22,20 +63,73 @@ export async function mount(container: string | HTMLElement): Promise<{ unmount:
   const appRoot = document.createElement('app-root');
   containerElement.appendChild(appRoot);
 
-  // Bootstrap the Angular application
-  const appRef: ApplicationRef = await bootstrapApplication(App, appConfig);
+  // Bootstrap the Angular application with the shell context
+  const initialContext = resolveShellContext(context);
+  const liveContext = signal(initialContext);
+  const config = mergeApplicationConfig(appConfig, {
+    providers: [
+      // Angular marks its component styles with ng-app-id; the shell uses it to move
+      // them into this app's shadow root when the remote is isolated
+      { provide: APP_ID, useValue: 'mfe1' },
+      { provide: SHELL_CONTEXT, useValue: initialContext },
+      { provide: SHELL_CONTEXT_SIGNAL, useValue: liveContext.asReadonly() }
+    ]
+  });
+  // Bootstrap into this app-root element rather than the first one in the document,
+  // which is not found when the shell mounts the app inside a shadow root
+  const appRef: ApplicationRef = await createApplication(config);
+  appRef.bootstrap(App, appRoot);
+
+  const status: MountStatus = {
+    state: 'mounted',
+    path: initialContext.path,
+    mountedAt: new Date(),
+    updatedAt: null
+  };
 
-  // Return unmount function
   return {
     unmount: () => {
       appRef.destroy();
+      status.state = 'unmounted';
       if (containerElement.contains(appRoot)) {
         containerElement.removeChild(appRoot);
       }
-    }
+    },
+    update: (nextContext) => {
+      const resolved = resolveShellContext(nextContext);
+      liveContext.set(resolved);
+      status.path = resolved.path;
+      status.updatedAt = new Date();
+    },
+    getStatus: () => ({ ...status })
   };
 }
 
+/**
+ * Pass new route params or context to a mounted app without remounting it
+ * @param context - The new shell context
+ * @param app - Handle returned by mount()
+ */
+export async function update(context: Partial<ShellContext>, app: MountedApp): Promise<void> {
+  app.update(context);
+}
+
+/**
+ * Destroy a mounted app
+ * @param app - Handle returned by mount()
+ */
+export async function unmount(app: MountedApp): Promise<void> {
+  app.unmount();
+}
+
+/**
+ * Report the state of a mounted app to the shell
+ * @param app - Handle returned by mount()
+ */
+export function getStatus(app: MountedApp): MountStatus {
+  return app.getStatus();
+}
+
 // Auto-bootstrap when loaded directly (not via Module Federation)
 // Check if we're being loaded as a standalone app
 const isStandalone = typeof window !== 'undefined' && !(window as any).__MFE_LOADED__;
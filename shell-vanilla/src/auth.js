@@ -0,0 +1,445 @@
+/**
+ * Auth Module
+ * Login state, access tokens and route protection for the shell
+ *
+ * The shell signs users in through a pluggable identity provider:
+ *   {
+ *     restore(),          // => session | null, e.g. from storage or an SSO cookie
+ *     login(credentials), // => session, or null after redirecting to an external login page
+ *     refresh(session),   // => session with a new access token
+ *     logout(session),    // => void
+ *     loginHint           // optional text shown on the login page
+ *   }
+ * A session is { accessToken, expiresAt (ms timestamp), user: { id, name, roles } }
+ * plus whatever the provider needs to refresh it. All methods may be async.
+ *
+ * The login state is observable through subscribe() and mirrored to the
+ * shared store as "shell/auth" ({ authenticated, user }), so MFEs can follow
+ * it without seeing the token. MFEs get the token from the mount context's
+ * getAuthToken(), which refreshes it shortly before it expires.
+ *
+ * Routes registered with meta { requiresAuth, roles } are protected by
+ * auth.guard, a router beforeEach hook: signed-out users are redirected to
+ * the login route with ?returnTo=<url> and sent back once signed in; users
+ * without the roles get the router's forbidden (403) handler.
+ */
+
+import sharedStore from './shared-store.js';
+import { FORBIDDEN } from './router.js';
+
+/**
+ * Shared store key holding { authenticated, user }
+ */
+export const AUTH_KEY = 'shell/auth';
+
+/**
+ * Login state values
+ */
+export const AUTH_UNKNOWN = 'unknown';
+export const AUTH_SIGNED_IN = 'signed-in';
+export const AUTH_SIGNED_OUT = 'signed-out';
+
+/**
+ * Results of canAccess
+ */
+export const ACCESS_ALLOWED = 'allowed';
+export const ACCESS_LOGIN = 'login';
+export const ACCESS_FORBIDDEN = 'forbidden';
+
+class Auth {
+  constructor() {
+    this.provider = null;
+    this.session = null;
+    this.status = AUTH_UNKNOWN;
+    this.listeners = new Set();
+    // Where guards send signed-out users
+    this.loginPath = '/login';
+    // Tokens expiring within this many ms are refreshed before being handed out
+    this.refreshMargin = 30000;
+    // Pending restore and refresh, shared by concurrent callers
+    this.restorePromise = null;
+    this.refreshPromise = null;
+    // Passed to router.beforeEach as is
+    this.guard = this.guard.bind(this);
+  }
+
+  /**
+   * Configure the auth module before the router starts
+   * @param {Object} options - Auth options
+   * @param {Object} options.provider - The identity provider, see above
+   * @param {string} options.loginPath - Route of the login page
+   * @param {number} options.refreshMargin - Refresh tokens expiring within this many ms
+   */
+  configure(options = {}) {
+    if (options.provider) {
+      ['restore', 'login', 'refresh', 'logout'].forEach(method => {
+        if (typeof options.provider[method] !== 'function') {
+          throw new Error(`Identity provider must implement ${method}()`);
+        }
+      });
+      this.provider = options.provider;
+      this.restorePromise = null;
+    }
+    if (options.loginPath) {
+      this.loginPath = options.loginPath;
+    }
+    if (options.refreshMargin !== undefined) {
+      this.refreshMargin = options.refreshMargin;
+    }
+  }
+
+  /**
+   * Restore the session kept by the provider, once
+   * Guards and getToken wait for it, so the first navigation sees the restored state.
+   * @returns {Promise<Object>} The login state
+   */
+  init() {
+    if (!this.restorePromise) {
+      this.restorePromise = (async () => {
+        let session = null;
+        try {
+          session = this.provider ? await this.provider.restore() : null;
+        } catch (error) {
+          console.warn('Could not restore the auth session:', error);
+        }
+        this._setSession(session);
+        return this.getState();
+      })();
+    }
+    return this.restorePromise;
+  }
+
+  /**
+   * Get the current login state
+   * @returns {Object} { status, authenticated, user }
+   */
+  getState() {
+    return {
+      status: this.status,
+      authenticated: this.status === AUTH_SIGNED_IN,
+      user: this.session?.user ?? null
+    };
+  }
+
+  /**
+   * Check whether a user is signed in
+   * @returns {boolean} True if signed in
+   */
+  isAuthenticated() {
+    return this.status === AUTH_SIGNED_IN;
+  }
+
+  /**
+   * Get the signed-in user
+   * @returns {Object|null} { id, name, roles }, or null if signed out
+   */
+  getUser() {
+    return this.session?.user ?? null;
+  }
+
+  /**
+   * Check whether the signed-in user has all of the given roles
+   * @param {Array<string>} roles - Required roles
+   * @returns {boolean} True if signed in with every role
+   */
+  hasRoles(roles = []) {
+    const granted = this.getUser()?.roles ?? [];
+    return this.isAuthenticated() && roles.every(role => granted.includes(role));
+  }
+
+  /**
+   * Check whether the current user may open a route or navigation entry
+   * Signed-out users get ACCESS_LOGIN even for roles: signing in may grant them.
+   * @param {Object} requirements - { requiresAuth, roles }, e.g. a route's meta
+   * @returns {string} ACCESS_ALLOWED, ACCESS_LOGIN or ACCESS_FORBIDDEN
+   */
+  canAccess(requirements = {}) {
+    const { requiresAuth = false, roles = [] } = requirements || {};
+    if (!requiresAuth && roles.length === 0) {
+      return ACCESS_ALLOWED;
+    }
+    if (!this.isAuthenticated()) {
+      return ACCESS_LOGIN;
+    }
+    return this.hasRoles(roles) ? ACCESS_ALLOWED : ACCESS_FORBIDDEN;
+  }
+
+  /**
+   * Subscribe to login state changes
+   * @param {Function} listener - (state) => void
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Sign in through the provider
+   * Provider errors, e.g. wrong credentials, are passed on to the caller.
+   * @param {Object} credentials - Whatever the provider expects, e.g. { username, password }
+   * @returns {Promise<boolean>} True if signed in; false if the provider redirected elsewhere
+   */
+  async login(credentials = {}) {
+    if (!this.provider) {
+      throw new Error('No identity provider is configured');
+    }
+    await this.init();
+    const session = await this.provider.login(credentials);
+    if (!session) {
+      return false;
+    }
+    this._setSession(session);
+    console.log(`Signed in as ${session.user?.name ?? session.user?.id}`);
+    return true;
+  }
+
+  /**
+   * Sign out, also when the provider fails to end its session
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    const { session } = this;
+    this._setSession(null);
+    try {
+      await this.provider?.logout(session);
+    } catch (error) {
+      console.warn('Identity provider failed to sign out:', error);
+    }
+  }
+
+  /**
+   * Get an access token, refreshing it first if it is about to expire
+   * A failed refresh signs the user out.
+   * @returns {Promise<string|null>} The token, or null if signed out
+   */
+  async getToken() {
+    await this.init();
+    if (!this.session) {
+      return null;
+    }
+    if (this.session.expiresAt - Date.now() < this.refreshMargin) {
+      await this._refresh();
+    }
+    return this.session?.accessToken ?? null;
+  }
+
+  /**
+   * URL of the login page that returns to a URL afterwards
+   * @param {string} returnTo - The shell URL to return to
+   * @returns {string} The login URL
+   */
+  loginUrl(returnTo) {
+    return returnTo && returnTo !== '/'
+      ? `${this.loginPath}?returnTo=${encodeURIComponent(returnTo)}`
+      : this.loginPath;
+  }
+
+  /**
+   * Read the URL to return to after signing in
+   * Only shell paths are accepted, so the login page cannot be used to leave the site.
+   * @param {Object} query - Parsed query of the login route
+   * @returns {string} The shell URL, '/' by default
+   */
+  returnUrl(query = {}) {
+    const value = Array.isArray(query.returnTo) ? query.returnTo[0] : query.returnTo;
+    if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//') || value.includes('\\')) {
+      return '/';
+    }
+    return value.split(/[?#]/)[0] === this.loginPath ? '/' : value;
+  }
+
+  /**
+   * Router beforeEach hook enforcing route meta { requiresAuth, roles }
+   * @param {Object} to - Match result of the target route
+   * @returns {Promise<string|symbol|undefined>} The login URL for signed-out users, FORBIDDEN for missing roles
+   */
+  async guard(to) {
+    if (this.canAccess(to.meta) === ACCESS_ALLOWED) {
+      return undefined;
+    }
+
+    await this.init();
+    const access = this.canAccess(to.meta);
+    if (access === ACCESS_LOGIN) {
+      console.log(`"${to.path}" requires signing in`);
+      return this.loginUrl(to.url);
+    }
+    if (access === ACCESS_FORBIDDEN) {
+      console.warn(`"${to.path}" requires the roles ${to.meta.roles.join(', ')}`);
+      return FORBIDDEN;
+    }
+    return undefined;
+  }
+
+  /**
+   * Refresh the session through the provider, once for concurrent callers
+   * @private
+   * @returns {Promise<void>}
+   */
+  _refresh() {
+    if (!this.refreshPromise) {
+      const { session } = this;
+      this.refreshPromise = (async () => {
+        try {
+          const refreshed = await this.provider.refresh(session);
+          // Signed out meanwhile: don't bring the session back
+          if (this.session === session) {
+            this._setSession(refreshed);
+          }
+        } catch (error) {
+          console.warn('Token refresh failed, signing out:', error);
+          if (this.session === session) {
+            this._setSession(null);
+          }
+        } finally {
+          this.refreshPromise = null;
+        }
+      })();
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Replace the session and notify subscribers
+   * @private
+   * @param {Object|null} session - The new session
+   */
+  _setSession(session) {
+    if (session && (typeof session.accessToken !== 'string' || !session.user)) {
+      console.error('Identity provider returned an invalid session, signing out:', session);
+      session = null;
+    }
+
+    this.session = session || null;
+    this.status = session ? AUTH_SIGNED_IN : AUTH_SIGNED_OUT;
+
+    const state = this.getState();
+    sharedStore.set(AUTH_KEY, { authenticated: state.authenticated, user: state.user });
+    this.listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('Error in auth listener:', error);
+      }
+    });
+  }
+}
+
+/**
+ * Create an identity provider backed by a fixed list of users, for development and tests
+ * Sessions are kept in sessionStorage and carry unsigned JWT-style tokens.
+ * @param {Object} options - Provider options
+ * @param {Array<Object>} options.users - [{ id, name, password, roles }]
+ * @param {number} options.tokenLifetime - Milliseconds until an access token expires
+ * @param {string} options.storageKey - sessionStorage key of the session
+ * @returns {Object} The identity provider
+ */
+export function createMockIdentityProvider(options = {}) {
+  const {
+    users = [
+      { id: 'alice', name: 'Alice Admin', password: 'alice', roles: ['admin', 'user'] },
+      { id: 'bob', name: 'Bob User', password: 'bob', roles: ['user'] }
+    ],
+    tokenLifetime = 5 * 60 * 1000,
+    storageKey = 'mfe-shell:mock-session'
+  } = options;
+
+  const issue = user => {
+    const expiresAt = Date.now() + tokenLifetime;
+    const profile = { id: user.id, name: user.name, roles: [...(user.roles || [])] };
+    const payload = { sub: user.id, name: user.name, roles: profile.roles, exp: Math.floor(expiresAt / 1000) };
+    const session = {
+      accessToken: `${encodeSegment({ alg: 'none', typ: 'JWT' })}.${encodeSegment(payload)}.`,
+      refreshToken: randomId(),
+      expiresAt,
+      user: profile
+    };
+    writeSession(storageKey, session);
+    return session;
+  };
+
+  return {
+    loginHint: `Mock users: ${users.map(user => `${user.id} / ${user.password} (${(user.roles || []).join(', ')})`).join('; ')}`,
+
+    async restore() {
+      return readSession(storageKey);
+    },
+
+    async login({ username, password } = {}) {
+      const user = users.find(candidate => candidate.id === username && candidate.password === password);
+      if (!user) {
+        const error = new Error('Invalid username or password');
+        error.name = 'AuthenticationError';
+        throw error;
+      }
+      return issue(user);
+    },
+
+    async refresh(session) {
+      const stored = readSession(storageKey);
+      const user = users.find(candidate => candidate.id === session?.user?.id);
+      if (!stored || !user || stored.refreshToken !== session.refreshToken) {
+        throw new Error('The refresh token is no longer valid');
+      }
+      return issue(user);
+    },
+
+    async logout() {
+      writeSession(storageKey, null);
+    }
+  };
+}
+
+/**
+ * Encode a token segment as base64url JSON
+ * @param {Object} value - The segment content
+ * @returns {string} The encoded segment
+ */
+function encodeSegment(value) {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Create a random identifier
+ * @returns {string} The identifier
+ */
+function randomId() {
+  return crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Read a session from sessionStorage, which may be unavailable
+ * @param {string} key - The key
+ * @returns {Object|null} The session
+ */
+function readSession(key) {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(key) || 'null');
+    return session && typeof session === 'object' ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a session to sessionStorage, which may be unavailable
+ * @param {string} key - The key
+ * @param {Object|null} session - The session; null removes it
+ */
+function writeSession(key, session) {
+  try {
+    if (session) {
+      sessionStorage.setItem(key, JSON.stringify(session));
+    } else {
+      sessionStorage.removeItem(key);
+    }
+  } catch {
+    // The session then only lasts until the page is reloaded
+  }
+}
+
+// Export singleton instance
+export const auth = new Auth();
+export default auth;
@@ -0,0 +1,184 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The mock provider keeps its session in sessionStorage, which Node does not have
+const storage = new Map();
+globalThis.sessionStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key),
+  clear: () => storage.clear()
+};
+
+const { auth, createMockIdentityProvider } = await import('./auth.js');
+const { router, FORBIDDEN } = await import('./router.js');
+
+router.register('/admin/users', () => {}, { meta: { requiresAuth: true, roles: ['admin'] } });
+router.register('/reports', () => {}, { meta: { requiresAuth: true } });
+router.register('/about', () => {});
+router.register('/login', () => {});
+
+/**
+ * Sign out and start over with a fresh mock provider
+ * @param {Object} options - createMockIdentityProvider options
+ * @returns {Promise<Object>} The provider, with its refresh calls counted in refreshCalls
+ */
+async function useMockProvider(options = {}) {
+  await auth.logout();
+  sessionStorage.clear();
+  const provider = createMockIdentityProvider(options);
+  const refresh = provider.refresh;
+  provider.refreshCalls = 0;
+  provider.refresh = session => {
+    provider.refreshCalls++;
+    return refresh(session);
+  };
+  auth.configure({ provider, loginPath: '/login', refreshMargin: 30000 });
+  await auth.init();
+  return provider;
+}
+
+describe('auth.guard', () => {
+  beforeEach(() => useMockProvider());
+
+  it('lets anyone open a route without requirements', async () => {
+    assert.equal(await auth.guard(router.match('/about')), undefined);
+  });
+
+  it('redirects signed-out users to the login route with the URL to return to', async () => {
+    const verdict = await auth.guard(router.match('/reports?year=2024#summary'));
+
+    assert.equal(verdict, '/login?returnTo=%2Freports%3Fyear%3D2024%23summary');
+    // The login page sends the user back there once signed in
+    assert.equal(auth.returnUrl(router.match(verdict).query), '/reports?year=2024#summary');
+  });
+
+  it('redirects signed-out users to the login route for role-protected routes too', async () => {
+    assert.equal(await auth.guard(router.match('/admin/users')), '/login?returnTo=%2Fadmin%2Fusers');
+  });
+
+  it('lets signed-in users in once they return from the login page', async () => {
+    await auth.login({ username: 'bob', password: 'bob' });
+
+    assert.equal(await auth.guard(router.match('/reports')), undefined);
+  });
+
+  it('answers FORBIDDEN when the user lacks a required role', async () => {
+    await auth.login({ username: 'bob', password: 'bob' });
+
+    assert.equal(await auth.guard(router.match('/admin/users')), FORBIDDEN);
+  });
+
+  it('lets users with every required role in', async () => {
+    await auth.login({ username: 'alice', password: 'alice' });
+
+    assert.equal(await auth.guard(router.match('/admin/users')), undefined);
+  });
+
+  it('waits for the restored session before deciding', async () => {
+    await auth.login({ username: 'alice', password: 'alice' });
+    const stored = sessionStorage.getItem('mfe-shell:mock-session');
+    await auth.logout();
+    // A reload: signed out until the provider restores the stored session
+    sessionStorage.setItem('mfe-shell:mock-session', stored);
+    auth.configure({ provider: createMockIdentityProvider() });
+
+    assert.equal(await auth.guard(router.match('/admin/users')), undefined);
+  });
+
+  it('rejects wrong credentials and stays signed out', async () => {
+    await assert.rejects(auth.login({ username: 'bob', password: 'alice' }), { name: 'AuthenticationError' });
+
+    assert.equal(auth.isAuthenticated(), false);
+    assert.equal(await auth.guard(router.match('/reports')), '/login?returnTo=%2Freports');
+  });
+});
+
+describe('auth.returnUrl', () => {
+  it('returns to shell paths with their query and hash', () => {
+    assert.equal(auth.returnUrl({ returnTo: '/mfe1/orders/7?tab=items#top' }), '/mfe1/orders/7?tab=items#top');
+  });
+
+  it('falls back to the home page without a returnTo', () => {
+    assert.equal(auth.returnUrl({}), '/');
+    assert.equal(auth.returnUrl(), '/');
+  });
+
+  for (const returnTo of [
+    'https://evil.example.com/',
+    '//evil.example.com/',
+    '/\\evil.example.com/',
+    'javascript:alert(1)',
+    'evil.example.com',
+    ''
+  ]) {
+    it(`rejects ${JSON.stringify(returnTo)} as an open redirect`, () => {
+      assert.equal(auth.returnUrl({ returnTo }), '/');
+    });
+  }
+
+  it('uses the first of repeated returnTo parameters', () => {
+    assert.equal(auth.returnUrl({ returnTo: ['//evil.example.com', '/reports'] }), '/');
+    assert.equal(auth.returnUrl({ returnTo: ['/reports', '//evil.example.com'] }), '/reports');
+  });
+
+  it('does not return to the login page itself', () => {
+    assert.equal(auth.returnUrl({ returnTo: '/login?returnTo=%2Freports' }), '/');
+  });
+});
+
+describe('auth.getToken', () => {
+  it('hands out the current token while it is far from expiring', async () => {
+    const provider = await useMockProvider({ tokenLifetime: 10 * 60 * 1000 });
+    await auth.login({ username: 'bob', password: 'bob' });
+    const { accessToken } = auth.session;
+
+    assert.equal(await auth.getToken(), accessToken);
+    assert.equal(provider.refreshCalls, 0);
+  });
+
+  it('refreshes a token about to expire before handing it out', async () => {
+    const provider = await useMockProvider({ tokenLifetime: 1000 });
+    await auth.login({ username: 'bob', password: 'bob' });
+    const expired = auth.session;
+
+    const token = await auth.getToken();
+
+    assert.equal(provider.refreshCalls, 1);
+    assert.notEqual(auth.session, expired);
+    assert.notEqual(auth.session.refreshToken, expired.refreshToken);
+    assert.equal(token, auth.session.accessToken);
+    assert.equal(auth.isAuthenticated(), true);
+  });
+
+  it('refreshes once for concurrent callers', async () => {
+    const provider = await useMockProvider({ tokenLifetime: 1000 });
+    await auth.login({ username: 'bob', password: 'bob' });
+
+    const tokens = await Promise.all([auth.getToken(), auth.getToken(), auth.getToken()]);
+
+    assert.equal(provider.refreshCalls, 1);
+    assert.deepEqual(new Set(tokens), new Set([auth.session.accessToken]));
+  });
+
+  it('signs the user out when the refresh fails', async () => {
+    await useMockProvider({ tokenLifetime: 1000 });
+    await auth.login({ username: 'bob', password: 'bob' });
+    const states = [];
+    const unsubscribe = auth.subscribe(state => states.push(state.status));
+    // The provider's session ended elsewhere, e.g. in another tab
+    sessionStorage.clear();
+
+    assert.equal(await auth.getToken(), null);
+    unsubscribe();
+    assert.equal(auth.isAuthenticated(), false);
+    assert.deepEqual(states, ['signed-out']);
+    assert.equal(await auth.guard(router.match('/reports')), '/login?returnTo=%2Freports');
+  });
+
+  it('returns null when signed out', async () => {
+    await useMockProvider();
+
+    assert.equal(await auth.getToken(), null);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Circuit Breaker Module
+ * Stops the shell from repeatedly hitting a remote that keeps failing
+ *
+ * States:
+ *   closed    - loads are attempted normally
+ *   open      - loads fail fast until the cooldown has passed
+ *   half-open - a single trial load is let through; success closes the
+ *               circuit, failure opens it again for another cooldown
+ */
+
+export const CIRCUIT_CLOSED = 'closed';
+export const CIRCUIT_OPEN = 'open';
+export const CIRCUIT_HALF_OPEN = 'half-open';
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures before the circuit opens
+   * @param {number} options.cooldown - Milliseconds the circuit stays open before a trial
+   */
+  constructor(options = {}) {
+    const { failureThreshold = 3, cooldown = 30000 } = options;
+    this.failureThreshold = failureThreshold;
+    this.cooldown = cooldown;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Current state, moving from open to half-open once the cooldown has passed
+   * @returns {string} closed | open | half-open
+   */
+  get state() {
+    if (this.openedAt === null) {
+      return CIRCUIT_CLOSED;
+    }
+    return Date.now() - this.openedAt >= this.cooldown ? CIRCUIT_HALF_OPEN : CIRCUIT_OPEN;
+  }
+
+  /**
+   * Ask whether a load may be attempted now
+   * In half-open state only one trial is allowed at a time.
+   * @returns {boolean} True if the caller may attempt the load
+   */
+  tryAcquire() {
+    const state = this.state;
+    if (state === CIRCUIT_CLOSED) {
+      return true;
+    }
+    if (state === CIRCUIT_HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record a successful load and close the circuit
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed load; opens the circuit past the threshold or after a failed trial
+   */
+  recordFailure() {
+    this.failures++;
+    if (this.trialInFlight || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+    }
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Release a trial that ended without a verdict (e.g. the load was aborted)
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Let the next load through as a trial, e.g. when the user clicks retry
+   */
+  forceHalfOpen() {
+    if (this.openedAt !== null) {
+      this.openedAt = Date.now() - this.cooldown;
+    }
+  }
+
+  /**
+   * Close the circuit and forget past failures
+   */
+  reset() {
+    this.recordSuccess();
+  }
+
+  /**
+   * Describe the breaker for status displays
+   * @returns {Object} { state, failures, openedAt, retryAt }
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt === null ? null : new Date(this.openedAt),
+      retryAt: this.openedAt === null ? null : new Date(this.openedAt + this.cooldown)
+    };
+  }
+}
+
+export default CircuitBreaker;
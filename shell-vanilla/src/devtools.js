@@ -0,0 +1,394 @@
+/**
+ * Shell Devtools Module
+ * Toggleable overlay for debugging the shell and its MFEs in the browser
+ *
+ * Shows the current route, the loaded MFEs with their metadata and load
+ * timings, and recent error reports. Remote URLs can be overridden through
+ * localStorage, e.g. to point a deployed shell's mfe1 at localhost:4201;
+ * a banner stays visible while overrides are active.
+ *
+ * Toggle with Alt+Shift+D or by opening the shell with ?devtools.
+ * Only dev builds have the overlay and overrides, unless a build opts in with
+ * VITE_ENABLE_DEVTOOLS=true.
+ */
+
+import router from './router.js';
+import mfeLoader from './mfe-loader.js';
+import errorReporter from './error-reporter.js';
+import loadMetrics from './load-metrics.js';
+
+/**
+ * localStorage key holding { remote name: URL } overrides
+ */
+export const OVERRIDES_STORAGE_KEY = 'mfe-shell:remote-overrides';
+
+/**
+ * localStorage key remembering whether the overlay was open
+ */
+const OPEN_STORAGE_KEY = 'mfe-shell:devtools-open';
+
+/**
+ * Error reports kept for the overlay
+ */
+const MAX_ERRORS = 20;
+
+/**
+ * Check whether this build ships the devtools
+ * @returns {boolean} True in dev builds and builds with VITE_ENABLE_DEVTOOLS=true
+ */
+export function isDevtoolsEnabled() {
+  return Boolean(import.meta.env?.DEV) || import.meta.env?.VITE_ENABLE_DEVTOOLS === 'true';
+}
+
+/**
+ * Read the remote URL overrides from localStorage
+ * @returns {Object<string, string>} Remote name -> URL
+ */
+export function readRemoteOverrides() {
+  try {
+    const value = JSON.parse(localStorage.getItem(OVERRIDES_STORAGE_KEY) || '{}');
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return {};
+    }
+    return Object.fromEntries(Object.entries(value).filter(([, url]) => typeof url === 'string' && url));
+  } catch (error) {
+    console.warn('Ignoring unreadable remote overrides:', error);
+    return {};
+  }
+}
+
+/**
+ * Override a remote's URL, or remove its override
+ * Takes effect after a reload: federation is initialized once per page.
+ * @param {string} name - The remote name
+ * @param {string|null} url - remoteEntry.json (or its directory) or iframe page URL; null removes the override
+ */
+export function setRemoteOverride(name, url) {
+  const overrides = readRemoteOverrides();
+  if (url) {
+    overrides[name] = url;
+  } else {
+    delete overrides[name];
+  }
+  writeStorage(OVERRIDES_STORAGE_KEY, Object.keys(overrides).length > 0 ? JSON.stringify(overrides) : null);
+}
+
+/**
+ * Remove all remote overrides
+ */
+export function clearRemoteOverrides() {
+  writeStorage(OVERRIDES_STORAGE_KEY, null);
+}
+
+class ShellDevtools {
+  constructor() {
+    this.initialized = false;
+    this.panel = null;
+    this.banner = null;
+    this.errors = [];
+  }
+
+  /**
+   * Apply stored overrides and install the overlay
+   * Must run before the federation manifest is loaded.
+   * @returns {boolean} False if the devtools are disabled in this build
+   */
+  init() {
+    if (!isDevtoolsEnabled()) {
+      return false;
+    }
+    if (this.initialized) {
+      return true;
+    }
+    this.initialized = true;
+
+    // Loopback overrides bypass the allowlist and integrity checks only in dev builds
+    mfeLoader.configure({
+      remoteOverrides: readRemoteOverrides(),
+      trustLocalOverrides: Boolean(import.meta.env?.DEV)
+    });
+
+    errorReporter.addTransport('devtools', {
+      send: reports => {
+        this.errors = [...reports.slice().reverse(), ...this.errors].slice(0, MAX_ERRORS);
+        this._refresh();
+      }
+    });
+    router.on('navigationend', () => this._refresh());
+    loadMetrics.subscribe(() => this._refresh());
+
+    document.addEventListener('keydown', event => {
+      if (event.altKey && event.shiftKey && event.code === 'KeyD') {
+        event.preventDefault();
+        this.toggle();
+      }
+    });
+
+    mfeLoader.loadManifest()
+      .then(manifest => this._renderBanner(
+        Object.values(manifest.remotes)
+          .filter(remote => remote.overriddenFrom)
+          .map(remote => [remote.name, remote.remoteEntry || remote.url])
+      ))
+      .catch(() => this._renderBanner(Object.entries(readRemoteOverrides())));
+
+    const requested = new URLSearchParams(window.location.search).has('devtools');
+    if (requested || readStorage(OPEN_STORAGE_KEY) === 'true') {
+      this.open();
+    }
+    return true;
+  }
+
+  /**
+   * Show or hide the overlay
+   */
+  toggle() {
+    if (this.panel) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Show the overlay
+   */
+  open() {
+    if (!this.initialized || this.panel) {
+      return;
+    }
+    this.panel = document.createElement('aside');
+    this.panel.className = 'devtools-panel';
+    this.panel.setAttribute('aria-label', 'Shell devtools');
+    document.body.appendChild(this.panel);
+    writeStorage(OPEN_STORAGE_KEY, 'true');
+    this._refresh();
+  }
+
+  /**
+   * Hide the overlay
+   */
+  close() {
+    this.panel?.remove();
+    this.panel = null;
+    writeStorage(OPEN_STORAGE_KEY, null);
+  }
+
+  /**
+   * Re-render the overlay if it is open
+   * @private
+   */
+  async _refresh() {
+    if (!this.panel) {
+      return;
+    }
+    let remotes = [];
+    try {
+      remotes = Object.values((await mfeLoader.loadManifest()).remotes);
+    } catch {
+      // The remotes section says so
+    }
+    const instances = await this._renderInstances();
+    if (!this.panel) {
+      return;
+    }
+
+    const header = element('header', 'devtools-header');
+    header.appendChild(element('strong', null, 'Shell devtools'));
+    const closeButton = element('button', 'devtools-close', '×');
+    closeButton.setAttribute('aria-label', 'Close devtools');
+    closeButton.onclick = () => this.close();
+    header.appendChild(closeButton);
+
+    this.panel.replaceChildren(
+      header,
+      section('Route', [element('code', null, router.getCurrentUrl() ?? window.location.pathname)]),
+      section('Loaded MFEs', instances),
+      section('Remotes', this._renderRemotes(remotes)),
+      section('Recent errors', this._renderErrors())
+    );
+  }
+
+  /**
+   * One entry per loaded instance with its metadata and load timings
+   * @private
+   * @returns {Promise<Array<HTMLElement>>} The entries
+   */
+  async _renderInstances() {
+    const ids = mfeLoader.getLoadedMFEs();
+    if (ids.length === 0) {
+      return [element('p', 'devtools-empty', 'None')];
+    }
+    const statuses = await Promise.all(ids.map(id => mfeLoader.getMFEStatus(id)));
+    return ids.map((id, index) => {
+      const metadata = mfeLoader.getMFEMetadata(id);
+      if (!metadata) {
+        return element('p', 'devtools-empty', `${id} (unloaded)`);
+      }
+      const item = element('details', 'devtools-item');
+      item.appendChild(element('summary', null,
+        `${id}${metadata.metrics ? ` · ${metadata.metrics.total}ms` : ''}`));
+      item.appendChild(element('pre', null, JSON.stringify({
+        remote: metadata.name,
+        slot: metadata.slot,
+        exposedModule: metadata.exposedModule,
+        keepAlive: metadata.keepAlive,
+        isolation: metadata.isolation,
+        loadedAt: metadata.loadedAt,
+        timings: metadata.metrics?.phases ?? null,
+        overBudget: metadata.metrics?.overBudget ?? [],
+        status: statuses[index]
+      }, null, 2)));
+      return item;
+    });
+  }
+
+  /**
+   * One row per manifest remote with its URL and an override field
+   * @private
+   * @param {Array<Object>} remotes - Normalized manifest entries
+   * @returns {Array<HTMLElement>} The rows
+   */
+  _renderRemotes(remotes) {
+    if (remotes.length === 0) {
+      return [element('p', 'devtools-empty', 'The federation manifest is not available')];
+    }
+    const overrides = readRemoteOverrides();
+    return remotes.map(remote => {
+      const row = element('form', 'devtools-remote');
+      row.appendChild(element('span', 'devtools-remote-name', remote.name));
+
+      const input = document.createElement('input');
+      input.type = 'url';
+      input.className = 'devtools-input';
+      input.value = overrides[remote.name] || '';
+      input.placeholder = remote.overriddenFrom || remote.remoteEntry || remote.url;
+      input.setAttribute('aria-label', `URL override for ${remote.name}`);
+      row.appendChild(input);
+
+      const apply = element('button', 'devtools-button', 'Apply & reload');
+      apply.type = 'submit';
+      row.appendChild(apply);
+      row.onsubmit = event => {
+        event.preventDefault();
+        setRemoteOverride(remote.name, input.value.trim() || null);
+        window.location.reload();
+      };
+      return row;
+    });
+  }
+
+  /**
+   * Recent error reports, newest first
+   * @private
+   * @returns {Array<HTMLElement>} The entries
+   */
+  _renderErrors() {
+    if (this.errors.length === 0) {
+      return [element('p', 'devtools-empty', 'None')];
+    }
+    return this.errors.map(report => {
+      const item = element('details', 'devtools-item devtools-error');
+      item.appendChild(element('summary', null,
+        `${report.remote ? `[${report.remote}] ` : ''}${report.name}: ${report.message}` +
+        (report.count > 1 ? ` (x${report.count})` : '')));
+      item.appendChild(element('pre', null, `${report.timestamp} on ${report.route}\n${report.stack || ''}`));
+      return item;
+    });
+  }
+
+  /**
+   * Show a banner while overrides are active
+   * @private
+   * @param {Array<Array<string>>} active - [remote name, URL] pairs
+   */
+  _renderBanner(active) {
+    this.banner?.remove();
+    this.banner = null;
+    document.body.classList.toggle('has-devtools-banner', active.length > 0);
+    if (active.length === 0) {
+      return;
+    }
+
+    this.banner = element('div', 'devtools-banner');
+    this.banner.setAttribute('role', 'status');
+    this.banner.appendChild(element('span', null,
+      `Remote overrides active: ${active.map(([name, url]) => `${name} → ${url}`).join(', ')}`));
+
+    const openButton = element('button', 'devtools-button', 'Devtools');
+    openButton.onclick = () => this.open();
+    const clearButton = element('button', 'devtools-button', 'Clear & reload');
+    clearButton.onclick = () => {
+      clearRemoteOverrides();
+      window.location.reload();
+    };
+    this.banner.appendChild(openButton);
+    this.banner.appendChild(clearButton);
+    document.body.prepend(this.banner);
+  }
+}
+
+/**
+ * Create an element with an optional class and text
+ * @param {string} tag - The tag name
+ * @param {string|null} className - The class name
+ * @param {string} [text] - The text content
+ * @returns {HTMLElement} The element
+ */
+function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) {
+    node.className = className;
+  }
+  if (text !== undefined) {
+    node.textContent = text;
+  }
+  return node;
+}
+
+/**
+ * Create a titled overlay section
+ * @param {string} title - The section title
+ * @param {Array<HTMLElement>} children - The section content
+ * @returns {HTMLElement} The section
+ */
+function section(title, children) {
+  const node = element('section', 'devtools-section');
+  node.appendChild(element('h3', 'devtools-section-title', title));
+  children.forEach(child => node.appendChild(child));
+  return node;
+}
+
+/**
+ * Read from localStorage, which may be unavailable
+ * @param {string} key - The key
+ * @returns {string|null} The value
+ */
+function readStorage(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write to localStorage, which may be unavailable
+ * @param {string} key - The key
+ * @param {string|null} value - The value; null removes the key
+ */
+function writeStorage(key, value) {
+  try {
+    if (value === null) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, value);
+    }
+  } catch (error) {
+    console.warn(`Could not write ${key} to localStorage:`, error);
+  }
+}
+
+// Export singleton instance
+export const shellDevtools = new ShellDevtools();
+export default shellDevtools;
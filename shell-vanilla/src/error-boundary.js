@@ -4,6 +4,8 @@
  * Ensures shell remains stable when errors occur
  */
 
+import errorReporter from './error-reporter.js';
+
 /**
  * Create an error display component
  * @param {Object} options - Error display options
@@ -13,6 +15,8 @@
  * @param {string} options.context - Context where error occurred (e.g., 'MFE Loading', 'Navigation')
  * @param {Function} options.onRetry - Optional retry callback
  * @param {Function} options.onGoHome - Optional go home callback
+ * @param {Function} options.onGoBack - Optional go back callback
+ * @param {string} options.icon - Icon shown above the title
  * @returns {HTMLElement} The error display element
  */
 export function createErrorDisplay(options = {}) {
@@ -22,7 +26,9 @@ export function createErrorDisplay(options = {}) {
     error = null,
     context = 'Application',
     onRetry = null,
-    onGoHome = null
+    onGoHome = null,
+    onGoBack = null,
+    icon: iconText = '⚠️'
   } = options;
 
   const errorContainer = document.createElement('div');
@@ -33,7 +39,7 @@ export function createErrorDisplay(options = {}) {
   // Create error icon
   const icon = document.createElement('div');
   icon.className = 'error-icon';
-  icon.innerHTML = '⚠️';
+  icon.textContent = iconText;
 
   // Create error title
   const titleElement = document.createElement('h2');
@@ -113,6 +119,20 @@ export function createErrorDisplay(options = {}) {
     actionsContainer.appendChild(homeButton);
   }
 
+  if (onGoBack) {
+    const backButton = document.createElement('button');
+    backButton.className = 'error-button error-button-secondary';
+    backButton.textContent = 'Go Back';
+    backButton.onclick = () => {
+      try {
+        onGoBack();
+      } catch (backError) {
+        console.error('Error navigating back:', backError);
+      }
+    };
+    actionsContainer.appendChild(backButton);
+  }
+
   // Assemble the error display
   errorContainer.appendChild(icon);
   errorContainer.appendChild(titleElement);
@@ -136,9 +156,29 @@ export function createErrorDisplay(options = {}) {
  * @returns {HTMLElement} The fallback UI element
  */
 export function createMFEFallback(mfeName, error, onRetry, onGoHome) {
+  let title = `Unable to Load ${mfeName}`;
+  let message = `The microfrontend "${mfeName}" could not be loaded. This might be because the service is not running or there's a network issue.`;
+
+  if (error?.name === 'TimeoutError') {
+    title = `${mfeName} Timed Out`;
+    message = `The microfrontend "${mfeName}" timed out while loading. The service may be slow or unreachable right now.`;
+  } else if (error?.name === 'CircuitOpenError') {
+    title = `${mfeName} Is Temporarily Unavailable`;
+    message = `The microfrontend "${mfeName}" failed repeatedly, so loading is paused for a moment. You can try again now or come back shortly.`;
+  } else if (error?.name === 'SharedDependencyError' || error?.cause?.name === 'SharedDependencyError') {
+    title = `${mfeName} Is Not Compatible`;
+    message = `The microfrontend "${mfeName}" was built against versions of shared libraries that conflict with those of other microfrontends, so the shell does not load it.`;
+  } else if (error?.name === 'RemoteSecurityError' || error?.cause?.name === 'RemoteSecurityError') {
+    title = `${mfeName} Was Blocked`;
+    message = `The microfrontend "${mfeName}" did not pass the shell's security checks: it is served from an origin that is not allowed, or its code does not match the version that was approved. Check the technical details below.`;
+  } else if (error?.name === 'LifecycleContractError') {
+    title = `${mfeName} Is Not Compatible`;
+    message = `The microfrontend "${mfeName}" does not implement the lifecycle this shell expects. Check the technical details below.`;
+  }
+
   return createErrorDisplay({
-    title: `Unable to Load ${mfeName}`,
-    message: `The microfrontend "${mfeName}" could not be loaded. This might be because the service is not running or there's a network issue.`,
+    title,
+    message,
     error,
     context: 'MFE Loading',
     onRetry,
@@ -146,6 +186,46 @@ export function createMFEFallback(mfeName, error, onRetry, onGoHome) {
   });
 }
 
+/**
+ * Create a not-found (404) view for an unknown URL
+ * @param {string} url - The requested URL
+ * @param {Function} onGoHome - Go home callback
+ * @param {Function} onGoBack - Optional go back callback
+ * @returns {HTMLElement} The not-found UI element
+ */
+export function createNotFoundFallback(url, onGoHome, onGoBack = null) {
+  return createErrorDisplay({
+    title: 'Page Not Found',
+    message: `There is no page at "${url}". The link may be broken or the page may have moved.`,
+    context: 'Navigation',
+    icon: '🔍',
+    onGoHome,
+    onGoBack
+  });
+}
+
+/**
+ * Create a forbidden (403) view for a route the user lacks the roles for
+ * @param {string} url - The requested URL
+ * @param {Array<string>} roles - The roles the route requires
+ * @param {Function} onGoHome - Go home callback
+ * @param {Function} onGoBack - Optional go back callback
+ * @returns {HTMLElement} The forbidden UI element
+ */
+export function createForbiddenFallback(url, roles, onGoHome, onGoBack = null) {
+  const required = roles.length > 0
+    ? ` It requires the ${roles.length > 1 ? 'roles' : 'role'} ${roles.map(role => `"${role}"`).join(', ')}.`
+    : '';
+  return createErrorDisplay({
+    title: 'Access Denied',
+    message: `You don't have permission to open "${url}".${required} Sign in with another account or ask an administrator for access.`,
+    context: 'Navigation',
+    icon: '🔒',
+    onGoHome,
+    onGoBack
+  });
+}
+
 /**
  * Create a generic error fallback
  * @param {Error} error - The error object
@@ -185,6 +265,7 @@ export function withErrorBoundary(fn, options = {}) {
       return await fn.apply(this, args);
     } catch (error) {
       console.error(`Error in ${context}:`, error);
+      errorReporter.report(error, { source: 'boundary', extra: { context } });
 
       // Call custom error handler if provided
       if (onError) {
@@ -210,12 +291,13 @@ export function withErrorBoundary(fn, options = {}) {
 
 /**
  * Global error handler setup
- * Catches unhandled errors and displays fallback UI
+ * Catches unhandled errors, reports them and displays fallback UI
  */
 export function setupGlobalErrorHandler() {
   // Handle unhandled promise rejections
   window.addEventListener('unhandledrejection', (event) => {
     console.error('Unhandled promise rejection:', event.reason);
+    errorReporter.report(event.reason, { source: 'unhandledrejection', handled: false });
     
     // Prevent default browser error handling
     event.preventDefault();
@@ -230,6 +312,11 @@ export function setupGlobalErrorHandler() {
   // Handle global errors
   window.addEventListener('error', (event) => {
     console.error('Global error:', event.error);
+    errorReporter.report(event.error ?? event.message, {
+      source: 'error',
+      handled: false,
+      extra: event.filename ? { filename: event.filename, line: event.lineno, column: event.colno } : null
+    });
     
     // Don't prevent default for script loading errors
     if (event.filename) {
@@ -287,6 +374,8 @@ export function showErrorNotification(title, message) {
 export default {
   createErrorDisplay,
   createMFEFallback,
+  createNotFoundFallback,
+  createForbiddenFallback,
   createGenericFallback,
   withErrorBoundary,
   setupGlobalErrorHandler,
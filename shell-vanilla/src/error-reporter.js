@@ -0,0 +1,414 @@
+/**
+ * Error Reporter Module
+ * Collects errors from the shell and its MFEs and sends them to pluggable transports
+ *
+ * Every report carries the active route, the loaded MFEs and the remote the
+ * error is attributed to: the MFE it was reported for, or else the remote
+ * whose files appear first in the stack trace.
+ *
+ * Reports are deduplicated (the same error within dedupeWindow is counted
+ * on the queued report instead of being sent again), sampled (sampleRate,
+ * decided once per distinct error) and sent in batches of batchSize, at the
+ * latest after flushInterval and when the page is hidden.
+ *
+ * A transport is { send(reports) } and may return a promise; see the
+ * create*Transport factories below.
+ */
+
+/**
+ * Most stack frames kept per report
+ */
+const MAX_FRAMES = 20;
+
+// Matches "http(s)://host/path/file.js:line:column" in Chrome, Firefox and Safari stacks
+const FRAME_PATTERN = /(https?:\/\/[^\s()@]+?):(\d+):(\d+)/g;
+
+export class ErrorReporter {
+  constructor() {
+    this.transports = new Map();
+    this.options = {
+      batchSize: 10,
+      flushInterval: 5000,
+      sampleRate: 1,
+      dedupeWindow: 60000,
+      maxQueue: 100
+    };
+    // Supplies { route, loadedMFEs } at report time, set by the shell
+    this.getContext = () => ({});
+    // Remote name -> base URL its files are served from, longest first
+    this.remoteSources = [];
+    this.queue = [];
+    // Fingerprint -> { until, sampled, report }
+    this.seen = new Map();
+    this.flushTimer = null;
+    this.sequence = 0;
+    this.stats = { reported: 0, duplicates: 0, sampledOut: 0, sent: 0, dropped: 0 };
+    this.listening = false;
+  }
+
+  /**
+   * Configure batching, deduplication and sampling
+   * @param {Object} options - Reporter options
+   * @param {number} options.batchSize - Reports per batch; a full batch is sent right away
+   * @param {number} options.flushInterval - Milliseconds a report may wait for its batch
+   * @param {number} options.sampleRate - Share of distinct errors to report, 0 to 1
+   * @param {number} options.dedupeWindow - Milliseconds during which the same error is only counted
+   * @param {number} options.maxQueue - Queued reports kept while transports fail; older ones are dropped
+   * @param {Function} options.getContext - () => { route, loadedMFEs }, called for every report
+   */
+  configure(options = {}) {
+    const { getContext, ...rest } = options;
+    Object.keys(rest).forEach(key => {
+      if (rest[key] !== undefined && key in this.options) {
+        this.options[key] = rest[key];
+      }
+    });
+    if (getContext) {
+      this.getContext = getContext;
+    }
+    this._listenForPageHide();
+  }
+
+  /**
+   * Tell the reporter where each remote's files are served from, for stack attribution
+   * @param {Array<Object>} remotes - Normalized manifest entries
+   */
+  setRemotes(remotes = []) {
+    this.remoteSources = remotes
+      .flatMap(remote => (remote.origins?.length ? remote.origins : [remote.remoteEntry || remote.url])
+        .map(url => ({ name: remote.name, base: sourceBase(url) })))
+      .filter(source => source.base)
+      .sort((a, b) => b.base.length - a.base.length);
+  }
+
+  /**
+   * Register a transport under a name, replacing one with the same name
+   * @param {string} name - The transport name
+   * @param {Object} transport - { send(reports) }
+   * @returns {Function} Removes the transport
+   */
+  addTransport(name, transport) {
+    if (typeof transport?.send !== 'function') {
+      throw new TypeError(`Transport "${name}" must have a send(reports) function`);
+    }
+    this.transports.set(name, transport);
+    return () => this.removeTransport(name);
+  }
+
+  /**
+   * Remove a transport
+   * @param {string} name - The transport name
+   * @returns {boolean} True if a transport was removed
+   */
+  removeTransport(name) {
+    return this.transports.delete(name);
+  }
+
+  /**
+   * Report an error
+   * @param {Error|*} error - The error, or any thrown value
+   * @param {Object} details - Report details
+   * @param {string} details.source - Where it was caught, e.g. 'mfe-load', 'unhandledrejection'
+   * @param {string} details.mfe - The MFE the error belongs to, if known
+   * @param {boolean} details.handled - False for errors nothing caught
+   * @param {Object} details.extra - Additional serializable data
+   * @returns {Object|null} The queued report, or null if it was deduplicated or sampled out
+   */
+  report(error, details = {}) {
+    const { source = 'manual', mfe = null, handled = true, extra = null } = details;
+    const normalized = normalizeError(error);
+    const frames = this._parseFrames(normalized.stack);
+    const fingerprint = [normalized.name, normalized.message, frames[0]?.url ?? '', frames[0]?.line ?? ''].join('|');
+    const now = Date.now();
+    this.stats.reported++;
+
+    const previous = this.seen.get(fingerprint);
+    if (previous && previous.until > now) {
+      this.stats.duplicates++;
+      if (previous.report) {
+        previous.report.count++;
+        previous.report.lastSeen = new Date(now).toISOString();
+      }
+      return null;
+    }
+
+    const sampled = Math.random() < this.options.sampleRate;
+    this.seen.set(fingerprint, { until: now + this.options.dedupeWindow, sampled, report: null });
+    this._pruneSeen(now);
+    if (!sampled) {
+      this.stats.sampledOut++;
+      return null;
+    }
+
+    const context = this._readContext();
+    const report = {
+      id: `${now.toString(36)}-${(++this.sequence).toString(36)}`,
+      fingerprint,
+      timestamp: new Date(now).toISOString(),
+      lastSeen: null,
+      count: 1,
+      source,
+      handled,
+      name: normalized.name,
+      message: normalized.message,
+      stack: normalized.stack,
+      route: context.route ?? null,
+      loadedMFEs: context.loadedMFEs ?? [],
+      remote: mfe || frames.find(frame => frame.remote)?.remote || null,
+      frames,
+      extra
+    };
+    this.seen.get(fingerprint).report = report;
+
+    this.queue.push(report);
+    if (this.queue.length > this.options.maxQueue) {
+      this.stats.dropped += this.queue.length - this.options.maxQueue;
+      this.queue.splice(0, this.queue.length - this.options.maxQueue);
+    }
+
+    if (this.queue.length >= this.options.batchSize) {
+      this.flush();
+    } else {
+      this._scheduleFlush();
+    }
+    return report;
+  }
+
+  /**
+   * Send queued reports to every transport now
+   * A batch that no transport accepted is put back in the queue.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.queue.length === 0 || this.transports.size === 0) {
+      return;
+    }
+
+    const batch = this.queue.splice(0, this.options.batchSize);
+    const results = await Promise.allSettled(
+      Array.from(this.transports, ([name, transport]) =>
+        Promise.resolve()
+          .then(() => transport.send(batch))
+          .catch(error => {
+            console.warn(`Error transport "${name}" failed:`, error);
+            throw error;
+          })
+      )
+    );
+
+    if (results.some(result => result.status === 'fulfilled')) {
+      this.stats.sent += batch.length;
+      // Later duplicates of a sent report only show up in the stats
+      batch.forEach(report => {
+        const entry = this.seen.get(report.fingerprint);
+        if (entry?.report === report) {
+          entry.report = null;
+        }
+      });
+    } else {
+      this.queue.unshift(...batch);
+    }
+
+    if (this.queue.length > 0) {
+      this._scheduleFlush();
+    }
+  }
+
+  /**
+   * Get reporter counters
+   * @returns {Object} { reported, duplicates, sampledOut, sent, dropped, queued }
+   */
+  getStats() {
+    return { ...this.stats, queued: this.queue.length };
+  }
+
+  /**
+   * Attribute the stack frames of an error to remotes
+   * @private
+   * @param {string} stack - The stack trace
+   * @returns {Array<Object>} [{ url, line, column, remote }]
+   */
+  _parseFrames(stack) {
+    if (!stack) {
+      return [];
+    }
+    return Array.from(String(stack).matchAll(FRAME_PATTERN), ([, url, line, column]) => ({
+      url,
+      line: Number(line),
+      column: Number(column),
+      remote: this.remoteSources.find(source => url.startsWith(source.base))?.name ?? null
+    })).slice(0, MAX_FRAMES);
+  }
+
+  /**
+   * Read the report context without letting a broken provider lose the report
+   * @private
+   * @returns {Object} { route, loadedMFEs }
+   */
+  _readContext() {
+    try {
+      return this.getContext() || {};
+    } catch (error) {
+      console.warn('Error reporter context provider failed:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Forget fingerprints whose dedupe window has passed
+   * @private
+   * @param {number} now - Current time
+   */
+  _pruneSeen(now) {
+    this.seen.forEach((entry, fingerprint) => {
+      if (entry.until <= now) {
+        this.seen.delete(fingerprint);
+      }
+    });
+  }
+
+  /**
+   * Flush after flushInterval unless a flush is already scheduled
+   * @private
+   */
+  _scheduleFlush() {
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
+    }
+  }
+
+  /**
+   * Flush when the page is hidden, the last moment a beacon is reliably sent
+   * @private
+   */
+  _listenForPageHide() {
+    if (this.listening || typeof document === 'undefined') {
+      return;
+    }
+    this.listening = true;
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.flush();
+      }
+    });
+  }
+}
+
+/**
+ * Transport that logs batches to the console
+ * @returns {Object} The transport
+ */
+export function createConsoleTransport() {
+  return {
+    send(reports) {
+      reports.forEach(report => {
+        const where = report.remote ? `${report.remote} on ${report.route}` : report.route;
+        console.error(`[error report] ${report.name}: ${report.message} (${where}, x${report.count})`, report);
+      });
+    }
+  };
+}
+
+/**
+ * Transport that posts batches as JSON with navigator.sendBeacon
+ * Falls back to a keepalive fetch when beacons are unavailable or the payload is refused.
+ * @param {string} endpoint - The collector URL
+ * @returns {Object} The transport
+ */
+export function createBeaconTransport(endpoint) {
+  if (!endpoint) {
+    throw new Error('The beacon transport needs an endpoint');
+  }
+  return {
+    async send(reports) {
+      const body = JSON.stringify({ reports });
+      if (navigator.sendBeacon?.(endpoint, new Blob([body], { type: 'application/json' }))) {
+        return;
+      }
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+      });
+      if (!response.ok) {
+        throw new Error(`Error endpoint answered ${response.status}`);
+      }
+    }
+  };
+}
+
+/**
+ * Transport that keeps reports in memory, for tests and debugging
+ * @returns {Object} The transport, with the received reports and clear()
+ */
+export function createMemoryTransport() {
+  const transport = {
+    reports: [],
+    batches: 0,
+    send(reports) {
+      transport.reports.push(...reports);
+      transport.batches++;
+    },
+    clear() {
+      transport.reports = [];
+      transport.batches = 0;
+    }
+  };
+  return transport;
+}
+
+/**
+ * Turn any thrown value into name, message and stack
+ * @param {*} error - The thrown value
+ * @returns {Object} { name, message, stack }
+ */
+function normalizeError(error) {
+  if (error instanceof Error) {
+    return { name: error.name, message: error.message, stack: error.stack || null };
+  }
+  if (error && typeof error === 'object') {
+    return {
+      name: error.name || 'Error',
+      message: error.message || safeStringify(error),
+      stack: typeof error.stack === 'string' ? error.stack : null
+    };
+  }
+  return { name: 'Error', message: String(error), stack: null };
+}
+
+/**
+ * Stringify a value for an error message, whatever it contains
+ * @param {*} value - The value
+ * @returns {string} The string
+ */
+function safeStringify(value) {
+  try {
+    return JSON.stringify(value);
+  } catch {
+    return String(value);
+  }
+}
+
+/**
+ * Directory a remote's files are served from
+ * @param {string} url - remoteEntry.json or iframe page URL
+ * @returns {string|null} The URL up to and including the last slash
+ */
+function sourceBase(url) {
+  if (!url) {
+    return null;
+  }
+  try {
+    const parsed = new URL(url);
+    return parsed.origin + parsed.pathname.replace(/[^/]*$/, '');
+  } catch {
+    return null;
+  }
+}
+
+// Export singleton instance
+export const errorReporter = new ErrorReporter();
+export default errorReporter;
@@ -0,0 +1,194 @@
+/**
+ * Event Bus Module
+ * Shell-owned publish/subscribe channel between the shell and its microfrontends
+ *
+ * Topics are namespaced by their owner: "shell/navigation", "mfe1/cart-updated".
+ * Every MFE receives a client scoped to its remote name (see createClient):
+ * it may subscribe to any topic but only publishes into its own namespace,
+ * and a topic without a namespace refers to its own. Subscriptions made
+ * through a client are removed when the MFE is unloaded.
+ */
+
+/**
+ * Namespace of topics published by the shell itself
+ */
+export const SHELL_NAMESPACE = 'shell';
+
+/**
+ * Prefix a topic or key with a namespace unless it already has one
+ * @param {string} namespace - The default namespace
+ * @param {string} topic - A bare ("theme") or qualified ("shell/theme") name
+ * @returns {string} The qualified name
+ */
+export function qualifyTopic(namespace, topic) {
+  if (typeof topic !== 'string' || !topic.trim()) {
+    throw new Error(`Topic must be a non-empty string, got ${typeof topic}`);
+  }
+  return topic.includes('/') ? topic : `${namespace}/${topic}`;
+}
+
+/**
+ * Get the namespace of a qualified topic
+ * @param {string} topic - A qualified topic
+ * @returns {string} The namespace
+ */
+export function topicNamespace(topic) {
+  return topic.slice(0, topic.indexOf('/'));
+}
+
+export class EventBus {
+  constructor() {
+    // Topic -> Set of { handler, owner }
+    this.subscribers = new Map();
+    // Topic -> last published payload, replayed to late subscribers on request
+    this.lastValues = new Map();
+    // Topic -> payload validator registered with defineTopic
+    this.validators = new Map();
+  }
+
+  /**
+   * Declare the payload type of a topic
+   * Publishing a payload that does not match throws a TypeError.
+   * @param {string} topic - The qualified topic
+   * @param {string|Function} type - A typeof name ("string", "object", ...) or (payload) => boolean
+   */
+  defineTopic(topic, type) {
+    const qualified = qualifyTopic(SHELL_NAMESPACE, topic);
+    const validate = typeof type === 'function'
+      ? type
+      : payload => (type === 'array' ? Array.isArray(payload) : typeof payload === type && payload !== null);
+    this.validators.set(qualified, { validate, description: typeof type === 'function' ? 'its validator' : type });
+  }
+
+  /**
+   * Publish a payload to every subscriber of a topic
+   * A failing subscriber is logged and does not affect the others.
+   * @param {string} topic - The topic; bare topics belong to the shell namespace
+   * @param {*} payload - The payload
+   * @param {string} source - Namespace of the publisher
+   */
+  publish(topic, payload, source = SHELL_NAMESPACE) {
+    const qualified = qualifyTopic(source, topic);
+    const validator = this.validators.get(qualified);
+    if (validator && !validator.validate(payload)) {
+      throw new TypeError(`Payload published to "${qualified}" by "${source}" does not match ${validator.description}`);
+    }
+
+    this.lastValues.set(qualified, payload);
+
+    this.subscribers.get(qualified)?.forEach(({ handler }) => {
+      this._deliver(handler, payload, qualified, source);
+    });
+  }
+
+  /**
+   * Subscribe to a topic
+   * @param {string} topic - The topic; bare topics belong to the shell namespace
+   * @param {Function} handler - Called with (payload, { topic, source, replayed })
+   * @param {Object} options - Subscription options
+   * @param {boolean} options.replay - Immediately receive the last payload published, if any
+   * @param {string} options.owner - Owner used by unsubscribeOwner
+   * @returns {Function} Function that removes the subscription
+   */
+  subscribe(topic, handler, options = {}) {
+    const { replay = false, owner = null } = options;
+    const qualified = qualifyTopic(SHELL_NAMESPACE, topic);
+
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for topic "${qualified}" must be a function`);
+    }
+
+    if (!this.subscribers.has(qualified)) {
+      this.subscribers.set(qualified, new Set());
+    }
+    const subscription = { handler, owner };
+    this.subscribers.get(qualified).add(subscription);
+
+    if (replay && this.lastValues.has(qualified)) {
+      this._deliver(handler, this.lastValues.get(qualified), qualified, topicNamespace(qualified), true);
+    }
+
+    return () => this._remove(qualified, subscription);
+  }
+
+  /**
+   * Remove every subscription made on behalf of an owner
+   * @param {string} owner - The owner, e.g. an MFE instance id
+   */
+  unsubscribeOwner(owner) {
+    for (const [topic, subscriptions] of this.subscribers) {
+      subscriptions.forEach(subscription => {
+        if (subscription.owner === owner) {
+          this._remove(topic, subscription);
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the last payload published to a topic
+   * @param {string} topic - The topic; bare topics belong to the shell namespace
+   * @returns {*} The payload, or undefined if nothing was published yet
+   */
+  getLastValue(topic) {
+    return this.lastValues.get(qualifyTopic(SHELL_NAMESPACE, topic));
+  }
+
+  /**
+   * Create a client scoped to a namespace, as handed to MFEs
+   * @param {string} namespace - The namespace, normally the remote name
+   * @param {string} owner - Owner of the client's subscriptions, normally the MFE instance id
+   * @returns {Object} { namespace, publish, subscribe, getLastValue, dispose }
+   */
+  createClient(namespace, owner = namespace) {
+    return {
+      namespace,
+      publish: (topic, payload) => {
+        const qualified = qualifyTopic(namespace, topic);
+        if (topicNamespace(qualified) !== namespace) {
+          throw new Error(`"${namespace}" may only publish to its own namespace, not to "${qualified}"`);
+        }
+        this.publish(qualified, payload, namespace);
+      },
+      subscribe: (topic, handler, options = {}) =>
+        this.subscribe(qualifyTopic(namespace, topic), handler, { ...options, owner }),
+      getLastValue: topic => this.getLastValue(qualifyTopic(namespace, topic)),
+      dispose: () => this.unsubscribeOwner(owner)
+    };
+  }
+
+  /**
+   * Call a subscriber, isolating the publisher from its errors
+   * @private
+   * @param {Function} handler - The subscriber
+   * @param {*} payload - The payload
+   * @param {string} topic - The qualified topic
+   * @param {string} source - Namespace of the publisher
+   * @param {boolean} replayed - True when delivering the last value to a new subscriber
+   */
+  _deliver(handler, payload, topic, source, replayed = false) {
+    try {
+      handler(payload, { topic, source, replayed });
+    } catch (error) {
+      console.error(`Error in subscriber of "${topic}":`, error);
+    }
+  }
+
+  /**
+   * Remove a single subscription
+   * @private
+   * @param {string} topic - The qualified topic
+   * @param {Object} subscription - The subscription entry
+   */
+  _remove(topic, subscription) {
+    const subscriptions = this.subscribers.get(topic);
+    subscriptions?.delete(subscription);
+    if (subscriptions?.size === 0) {
+      this.subscribers.delete(topic);
+    }
+  }
+}
+
+// Export a singleton instance
+export const eventBus = new EventBus();
+export default eventBus;
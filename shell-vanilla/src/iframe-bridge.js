@@ -0,0 +1,303 @@
+/**
+ * Iframe Bridge Module
+ * Hosts a remote in an iframe and talks to it over a validated postMessage protocol
+ *
+ * Remotes with "strategy": "iframe" in the manifest are wrapped in a module
+ * implementing lifecycle v2 (see lifecycle.js), so the loader mounts, updates
+ * and unmounts them like any federated remote.
+ *
+ * Every message is { protocol: 'mfe-bridge', version: 1, type, payload }.
+ * Messages are only accepted from the iframe's window and the frame's origin,
+ * and are only posted to that origin. Without "allowSameOrigin" the frame has
+ * an opaque origin ("null"), so messages are matched by window alone and
+ * posted to that window with "*".
+ *
+ * Iframe -> shell:
+ *   ready                                 handshake, answered with "init"
+ *   resize        { height }              content height in px, applied to the iframe
+ *   route-changed { path }                the iframe's own route, mirrored in the shell URL
+ *   navigate      { to, replace }         navigate the shell (relative paths are below basePath)
+ *   publish       { topic, payload }      publish on the event bus in the remote's namespace
+ *   subscribe     { topic, replay }       forward a bus topic as "event" messages
+ *   unsubscribe   { topic }
+ *   get-auth-token { requestId }          answered with "auth-token"; the token is null
+ *                                         unless the remote has "shareAuthToken": true
+ *
+ * Shell -> iframe:
+ *   init          { context }             serializable mount context
+ *   update        { context }             new route params or context
+ *   event         { topic, payload }
+ *   auth-token    { requestId, token }
+ */
+
+import errorReporter from './error-reporter.js';
+
+export const BRIDGE_PROTOCOL = 'mfe-bridge';
+export const BRIDGE_VERSION = 1;
+
+/**
+ * Validators for the payload of each message type the iframe may send
+ */
+const INCOMING = {
+  'ready': () => true,
+  'resize': payload => Number.isFinite(payload?.height) && payload.height >= 0,
+  'route-changed': payload => typeof payload?.path === 'string' && payload.path.startsWith('/'),
+  'navigate': payload => typeof payload?.to === 'string' && payload.to.length > 0,
+  'publish': payload => typeof payload?.topic === 'string' && payload.topic.length > 0,
+  'subscribe': payload => typeof payload?.topic === 'string' && payload.topic.length > 0,
+  'unsubscribe': payload => typeof payload?.topic === 'string',
+  'get-auth-token': payload => typeof payload?.requestId === 'string' || Number.isFinite(payload?.requestId)
+};
+
+/**
+ * Default sandbox: scripts and forms, but no top-level navigation and an opaque origin
+ * allow-same-origin is only added for remotes with "allowSameOrigin": true.
+ */
+export const DEFAULT_IFRAME_SANDBOX = 'allow-scripts allow-forms allow-popups';
+
+/**
+ * Origin reported by message events from a frame sandboxed without allow-same-origin
+ */
+const OPAQUE_ORIGIN = 'null';
+
+/**
+ * Check that a message event is a well-formed bridge message from the expected iframe
+ * @param {MessageEvent} event - The message event
+ * @param {Window} source - The iframe's contentWindow
+ * @param {string} origin - The frame's origin, "null" for an opaque origin
+ * @returns {Object|null} The message, or null if it must be ignored
+ */
+export function validateBridgeMessage(event, source, origin) {
+  if (event.source !== source || event.origin !== origin) {
+    return null;
+  }
+
+  const message = event.data;
+  if (!message || typeof message !== 'object' || message.protocol !== BRIDGE_PROTOCOL) {
+    return null;
+  }
+
+  if (message.version !== BRIDGE_VERSION) {
+    console.warn(`Ignoring ${BRIDGE_PROTOCOL} message with unsupported version ${message.version} from ${origin}`);
+    return null;
+  }
+
+  const validate = INCOMING[message.type];
+  if (!validate) {
+    console.warn(`Ignoring unknown ${BRIDGE_PROTOCOL} message "${message.type}" from ${origin}`);
+    return null;
+  }
+  if (!validate(message.payload)) {
+    console.warn(`Ignoring malformed ${BRIDGE_PROTOCOL} message "${message.type}" from ${origin}`, message.payload);
+    return null;
+  }
+
+  return message;
+}
+
+/**
+ * Wrap an iframe remote in a lifecycle v2 module
+ * @param {Object} remoteConfig - Normalized manifest entry with strategy "iframe"
+ * @returns {Object} The lifecycle module
+ */
+export function createIframeModule(remoteConfig) {
+  return {
+    lifecycleVersion: 2,
+    bootstrap: async () => {},
+    mount: (container, context) => mountIframe(remoteConfig, container, context),
+    update: (context, frame) => frame.update(context),
+    unmount: frame => frame.unmount(),
+    getStatus: frame => frame.getStatus()
+  };
+}
+
+/**
+ * Create the iframe and connect the bridge
+ * Resolves once the iframe document has loaded.
+ * @param {Object} remoteConfig - Normalized manifest entry
+ * @param {HTMLElement} container - The container element
+ * @param {Object} context - The mount context
+ * @returns {Promise<Object>} Handle with update, unmount and getStatus
+ */
+function mountIframe(remoteConfig, container, context) {
+  const { name, url, allowSameOrigin, shareAuthToken } = remoteConfig;
+  const remoteOrigin = new URL(url).origin;
+  const origin = allowSameOrigin ? remoteOrigin : OPAQUE_ORIGIN;
+  const targetOrigin = allowSameOrigin ? remoteOrigin : '*';
+  const subscriptions = new Map();
+  let currentContext = context;
+  let connected = false;
+  let height = null;
+
+  const iframe = document.createElement('iframe');
+  iframe.className = 'mfe-iframe';
+  iframe.id = `mfe-iframe-${name}`;
+  iframe.title = remoteConfig.label || name;
+  iframe.setAttribute('sandbox', sandboxFlags(remoteConfig));
+  iframe.src = frameUrl(url, context);
+
+  const post = (type, payload) => {
+    try {
+      // Clone first, so payloads that cannot cross windows (functions, signals,
+      // DOM nodes) fail here even before the iframe has a window
+      const message = structuredClone({ protocol: BRIDGE_PROTOCOL, version: BRIDGE_VERSION, type, payload });
+      iframe.contentWindow?.postMessage(message, targetOrigin);
+    } catch (error) {
+      console.warn(`Could not send "${type}" to iframe of "${name}":`, error);
+      errorReporter.report(error, {
+        source: 'iframe-bridge',
+        mfe: name,
+        extra: { type, topic: payload?.topic ?? null }
+      });
+    }
+  };
+
+  const handlers = {
+    'ready': () => {
+      connected = true;
+      post('init', { context: serializeContext(currentContext) });
+    },
+    'resize': ({ height: next }) => {
+      height = Math.ceil(next);
+      iframe.style.height = `${height}px`;
+      iframe.style.minHeight = '0';
+    },
+    'route-changed': ({ path }) => {
+      // The iframe keeps its own history entries, so the shell URL is only replaced
+      if (path !== currentContext.path) {
+        currentContext.navigate(`${currentContext.basePath}${path === '/' ? '' : path}`, { replace: true });
+      }
+    },
+    'navigate': ({ to, replace = false }) => {
+      currentContext.navigate(to, { replace: Boolean(replace) });
+    },
+    'publish': ({ topic, payload }) => {
+      currentContext.bus?.publish(topic, payload);
+    },
+    'subscribe': ({ topic, replay = false }) => {
+      if (subscriptions.has(topic) || !currentContext.bus) {
+        return;
+      }
+      subscriptions.set(topic, currentContext.bus.subscribe(
+        topic,
+        (payload, meta) => post('event', { topic: meta.topic, payload }),
+        { replay: Boolean(replay) }
+      ));
+    },
+    'unsubscribe': ({ topic }) => {
+      subscriptions.get(topic)?.();
+      subscriptions.delete(topic);
+    },
+    'get-auth-token': async ({ requestId }) => {
+      if (!shareAuthToken) {
+        console.warn(`Iframe of "${name}" asked for the auth token, but "shareAuthToken" is not set for it`);
+        post('auth-token', { requestId, token: null });
+        return;
+      }
+      const token = await currentContext.getAuthToken();
+      post('auth-token', { requestId, token });
+    }
+  };
+
+  const onMessage = event => {
+    const message = validateBridgeMessage(event, iframe.contentWindow, origin);
+    if (!message) {
+      return;
+    }
+    try {
+      const result = handlers[message.type](message.payload ?? {});
+      Promise.resolve(result).catch(error => {
+        console.error(`Error handling "${message.type}" from iframe of "${name}":`, error);
+      });
+    } catch (error) {
+      console.error(`Error handling "${message.type}" from iframe of "${name}":`, error);
+    }
+  };
+
+  const unmount = () => {
+    window.removeEventListener('message', onMessage);
+    subscriptions.forEach(unsubscribe => unsubscribe());
+    subscriptions.clear();
+    iframe.remove();
+  };
+
+  const handle = {
+    update: nextContext => {
+      currentContext = nextContext;
+      if (connected) {
+        post('update', { context: serializeContext(nextContext) });
+      }
+    },
+    unmount,
+    getStatus: () => ({
+      strategy: 'iframe',
+      src: iframe.src,
+      connected,
+      height
+    })
+  };
+
+  window.addEventListener('message', onMessage);
+
+  // Iframes fire no error event for a document that fails to load (they show
+  // the browser's error page and fire load), so the loader's timeout covers that
+  return new Promise(resolve => {
+    iframe.addEventListener('load', () => resolve(handle), { once: true });
+    container.appendChild(iframe);
+  });
+}
+
+/**
+ * Build the sandbox attribute of a remote's iframe
+ * @param {Object} remoteConfig - Normalized manifest entry
+ * @returns {string} The sandbox flags
+ */
+function sandboxFlags(remoteConfig) {
+  const flags = (remoteConfig.sandbox || DEFAULT_IFRAME_SANDBOX).split(/\s+/).filter(Boolean);
+  if (remoteConfig.allowSameOrigin) {
+    if (flags.includes('allow-scripts') && new URL(remoteConfig.url).origin === window.location.origin) {
+      console.warn(`Iframe of "${remoteConfig.name}" is served from the shell origin with allow-scripts and allow-same-origin, so it can remove its own sandbox`);
+    }
+    flags.push('allow-same-origin');
+  }
+  return flags.join(' ');
+}
+
+/**
+ * Build the iframe URL for the MFE's sub-path, so deep links open the right page
+ * @param {string} url - The remote's page URL
+ * @param {Object} context - The mount context
+ * @returns {string} The iframe src
+ */
+function frameUrl(url, context) {
+  const target = new URL(url);
+  if (context?.path && context.path !== '/') {
+    target.pathname = target.pathname.replace(/\/+$/, '') + context.path;
+  }
+  Object.entries(context?.query || {}).forEach(([key, value]) => {
+    [].concat(value).forEach(item => target.searchParams.append(key, item));
+  });
+  if (context?.hash) {
+    target.hash = context.hash;
+  }
+  return target.href;
+}
+
+/**
+ * Reduce a mount context to what can be posted to another window
+ * Functions and clients stay in the shell; they are reached through messages.
+ * @param {Object} context - The mount context
+ * @returns {Object} The serializable context
+ */
+function serializeContext(context) {
+  const { basePath, path, params, query, hash, slot, locale, theme } = context;
+  let state = null;
+  try {
+    state = structuredClone(context.state ?? null);
+  } catch {
+    // State that cannot be cloned is not forwarded
+  }
+  return { basePath, path, params, query, hash, state, slot, locale, theme };
+}
+
+export default { BRIDGE_PROTOCOL, BRIDGE_VERSION, createIframeModule, validateBridgeMessage };
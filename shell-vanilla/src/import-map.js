@@ -0,0 +1,74 @@
+/**
+ * Import Map Module
+ * Installs the one import map remote code is resolved through
+ *
+ * vanilla-native-federation is initialized with STAGED_IMPORT_MAP_TYPE as its
+ * import map type, so the map it writes is an inert <script> the browser does
+ * not act on. The loader takes that map, adds what it decided before
+ * initialization (integrity of pinned modules, see remote-security.js, and
+ * scopes of remotes given their own copy of a shared package, see
+ * shared-dependencies.js) and installs it as the page's import map. Earlier
+ * import maps win for a specifier and browsers without multiple import map
+ * support ignore later ones, so everything remote code resolves through must
+ * be in this one map.
+ */
+
+/**
+ * Script type the federation writes its import map with; browsers ignore it
+ */
+export const STAGED_IMPORT_MAP_TYPE = 'mfe-shell-staged-importmap';
+
+/**
+ * Remove the staged import maps from the document and merge them
+ * @returns {Object} { imports, scopes, integrity }
+ */
+export function takeStagedImportMap() {
+  const scripts = Array.from(document.querySelectorAll(`script[type="${STAGED_IMPORT_MAP_TYPE}"]`));
+  const maps = scripts.map(script => {
+    script.remove();
+    try {
+      return JSON.parse(script.textContent);
+    } catch (error) {
+      throw new Error(`The federation wrote an import map that is not valid JSON: ${error.message}`);
+    }
+  });
+  return mergeImportMaps(...maps);
+}
+
+/**
+ * Merge import maps; earlier maps win for the same specifier, as in the browser
+ * @param {...Object} maps - Import maps with optional imports, scopes and integrity
+ * @returns {Object} { imports, scopes, integrity }
+ */
+export function mergeImportMaps(...maps) {
+  const merged = { imports: {}, scopes: {}, integrity: {} };
+  maps.filter(Boolean).forEach(map => {
+    merged.imports = { ...map.imports, ...merged.imports };
+    Object.entries(map.scopes || {}).forEach(([scope, imports]) => {
+      merged.scopes[scope] = { ...imports, ...merged.scopes[scope] };
+    });
+    merged.integrity = { ...map.integrity, ...merged.integrity };
+  });
+  return merged;
+}
+
+/**
+ * Add an import map to the document
+ * Uses es-module-shims' own type when it is loaded, since it may run in shim mode.
+ * The nonce lets the map pass the build's Content-Security-Policy (see vite.config.js).
+ * @param {Object} importMap - { imports, scopes, integrity }
+ * @param {string} [nonce] - Script nonce, defaults to VITE_CSP_NONCE
+ * @returns {HTMLScriptElement} The installed script
+ */
+export function installImportMap(importMap, nonce = import.meta.env?.VITE_CSP_NONCE) {
+  const script = document.createElement('script');
+  script.type = window.importShim ? 'importmap-shim' : 'importmap';
+  if (nonce) {
+    script.nonce = nonce;
+  }
+  script.textContent = JSON.stringify(importMap);
+  document.head.appendChild(script);
+  return script;
+}
+
+export default { STAGED_IMPORT_MAP_TYPE, takeStagedImportMap, mergeImportMaps, installImportMap };
@@ -0,0 +1,149 @@
+/**
+ * MFE Lifecycle Contract Module
+ * Validates a remote module's exports against the lifecycle version it declares
+ * and adapts it to the instance interface used by the loader
+ *
+ * Version 1 (implicit when a module declares no version):
+ *   export async function mount(container, context) -> { unmount(), update?(context), getStatus?() }
+ *
+ * Version 2 (export const lifecycleVersion = 2):
+ *   export async function bootstrap()                  // run once per page, before the first mount
+ *   export async function mount(container, context)    // may return a handle passed to the hooks below
+ *   export async function update(context, handle)      // new route params or context, no remount
+ *   export async function unmount(handle)
+ *   export function getStatus(handle)                  // optional
+ *
+ * In both versions the object returned by mount may also provide the optional
+ * canUnmount, hasUnsavedChanges, activate and deactivate hooks.
+ */
+
+/**
+ * Lifecycle versions this shell can drive
+ */
+export const SUPPORTED_LIFECYCLE_VERSIONS = [1, 2];
+
+/**
+ * Exports each lifecycle version requires
+ */
+const REQUIRED_EXPORTS = {
+  1: ['mount'],
+  2: ['bootstrap', 'mount', 'update', 'unmount']
+};
+
+/**
+ * Optional hooks forwarded from the object returned by mount
+ */
+const INSTANCE_HOOKS = ['canUnmount', 'hasUnsavedChanges', 'activate', 'deactivate'];
+
+// Bootstrap promise per module, so bootstrap runs once even with several instances
+const bootstrapped = new WeakMap();
+
+/**
+ * Validate a remote module against its declared lifecycle version
+ * @param {Object} remoteModule - The imported remote module
+ * @param {string} label - Remote and module name for error messages, e.g. "mfe1 (./bootstrap)"
+ * @returns {Object} { version, module } - the validated lifecycle
+ */
+export function resolveLifecycle(remoteModule, label) {
+  if (!remoteModule || typeof remoteModule !== 'object') {
+    throw contractError(`${label} did not resolve to a module`);
+  }
+
+  const declared = remoteModule.lifecycleVersion;
+  const version = declared === undefined ? 1 : declared;
+  if (!SUPPORTED_LIFECYCLE_VERSIONS.includes(version)) {
+    throw contractError(
+      `${label} declares lifecycle version ${JSON.stringify(declared)}; ` +
+      `this shell supports ${SUPPORTED_LIFECYCLE_VERSIONS.join(', ')}`
+    );
+  }
+
+  const missing = REQUIRED_EXPORTS[version].filter(name => typeof remoteModule[name] !== 'function');
+  if (missing.length > 0) {
+    throw contractError(
+      `${label} does not implement lifecycle v${version}: ` +
+      `missing function export${missing.length > 1 ? 's' : ''} ${missing.join(', ')}` +
+      (version === 1 && typeof remoteModule.default?.mount === 'function'
+        ? ' (mount is only exported through default; export it by name)'
+        : '')
+    );
+  }
+
+  if (remoteModule.getStatus !== undefined && typeof remoteModule.getStatus !== 'function') {
+    throw contractError(`${label} exports getStatus, but it is not a function`);
+  }
+
+  return { version, module: remoteModule };
+}
+
+/**
+ * Mount a validated lifecycle and return the instance the loader tracks
+ * @param {Object} lifecycle - Result of resolveLifecycle
+ * @param {HTMLElement} container - The container element
+ * @param {Object} context - The mount context
+ * @param {string} label - Remote and module name for error messages
+ * @returns {Promise<Object>} { lifecycleVersion, unmount, update?, getStatus?, ...optional hooks }
+ */
+export async function mountLifecycle(lifecycle, container, context, label) {
+  const { version, module } = lifecycle;
+
+  if (version === 1) {
+    const instance = await module.mount(container, context);
+    if (!instance || typeof instance.unmount !== 'function') {
+      throw contractError(`${label}: mount() must return an object with an unmount() function (lifecycle v1)`);
+    }
+    return instance;
+  }
+
+  await bootstrapOnce(module, label);
+
+  const handle = await module.mount(container, context);
+  const instance = {
+    lifecycleVersion: version,
+    update: nextContext => module.update(nextContext, handle),
+    unmount: () => module.unmount(handle)
+  };
+  if (module.getStatus) {
+    instance.getStatus = () => module.getStatus(handle);
+  }
+
+  INSTANCE_HOOKS.forEach(hook => {
+    if (typeof handle?.[hook] === 'function') {
+      instance[hook] = (...args) => handle[hook](...args);
+    }
+  });
+
+  return instance;
+}
+
+/**
+ * Run a module's bootstrap export once; a failed bootstrap is retried on the next mount
+ * @param {Object} module - The remote module
+ * @param {string} label - Remote and module name for log messages
+ * @returns {Promise<void>}
+ */
+function bootstrapOnce(module, label) {
+  if (!bootstrapped.has(module)) {
+    console.log(`Bootstrapping ${label}`);
+    bootstrapped.set(module, Promise.resolve(module.bootstrap()).catch(error => {
+      bootstrapped.delete(module);
+      throw error;
+    }));
+  }
+  return bootstrapped.get(module);
+}
+
+/**
+ * Create an error for a module that breaks the lifecycle contract
+ * Contract errors are permanent: retrying the same module cannot fix them.
+ * @param {string} message - The error message
+ * @returns {Error} The error
+ */
+function contractError(message) {
+  const error = new Error(message);
+  error.name = 'LifecycleContractError';
+  error.permanent = true;
+  return error;
+}
+
+export default { SUPPORTED_LIFECYCLE_VERSIONS, resolveLifecycle, mountLifecycle };
@@ -0,0 +1,261 @@
+/**
+ * Load Metrics Module
+ * Times each phase of an MFE load with performance.mark/measure
+ *
+ * Phases, in load order (the first three are missing when an earlier load already did the work):
+ *   manifest            fetching and validating the federation manifest
+ *   remoteEntry         fetching the remote's remoteEntry.json (from Resource Timing)
+ *   sharedDependencies  the rest of the federation initialization, mostly resolving shared dependencies
+ *   import              importing the exposed module
+ *   mount               the MFE's bootstrap and mount, e.g. Angular's bootstrap
+ *
+ * Measures appear in the browser's performance timeline as "mfe:<instance>:<phase>".
+ * Finished loads are published to subscribers and checked against per-remote budgets.
+ */
+
+export const LOAD_PHASES = ['manifest', 'remoteEntry', 'sharedDependencies', 'import', 'mount'];
+
+/**
+ * Loads kept per remote for getHistory
+ */
+const HISTORY_SIZE = 20;
+
+// Sequence number keeping the marks of concurrent loads apart
+let loadSequence = 0;
+
+/**
+ * Timer for one load
+ */
+export class LoadTimer {
+  /**
+   * @param {string} name - The remote name
+   * @param {string} id - The instance id
+   */
+  constructor(name, id = name) {
+    this.name = name;
+    this.id = id;
+    this.prefix = `mfe:${id}#${++loadSequence}`;
+    this.startedAt = now();
+    this.phases = {};
+    this.marks = [];
+  }
+
+  /**
+   * Run a phase and record its duration; repeated phases (e.g. retries) add up
+   * @param {string} phase - The phase name
+   * @param {Function} fn - () => Promise, the phase's work
+   * @returns {Promise<*>} The result of fn
+   */
+  async measure(phase, fn) {
+    const start = this._mark(`${phase}:start`);
+    try {
+      return await fn();
+    } finally {
+      const end = this._mark(`${phase}:end`);
+      this.record(phase, measureBetween(`mfe:${this.id}:${phase}`, start, end));
+    }
+  }
+
+  /**
+   * Record a duration measured elsewhere
+   * @param {string} phase - The phase name
+   * @param {number} duration - Milliseconds
+   */
+  record(phase, duration) {
+    if (Number.isFinite(duration)) {
+      this.phases[phase] = (this.phases[phase] || 0) + duration;
+    }
+  }
+
+  /**
+   * Move part of a phase's duration into another phase
+   * @param {string} phase - The measured phase
+   * @param {string} part - The phase that took part of it
+   * @param {number} duration - Milliseconds of phase spent in part
+   */
+  split(phase, part, duration) {
+    if (Number.isFinite(duration) && this.phases[phase] !== undefined) {
+      const moved = Math.min(duration, this.phases[phase]);
+      this.phases[phase] -= moved;
+      this.record(part, moved);
+    }
+  }
+
+  /**
+   * Stop the timer and clear its marks
+   * @param {string} outcome - 'loaded' | 'failed' | 'aborted'
+   * @returns {Object} { name, id, outcome, startedAt, total, phases }
+   */
+  finish(outcome) {
+    const total = now() - this.startedAt;
+    if (typeof performance !== 'undefined') {
+      this.marks.forEach(mark => performance.clearMarks?.(mark));
+    }
+    return {
+      name: this.name,
+      id: this.id,
+      outcome,
+      startedAt: new Date(Date.now() - total),
+      total: round(total),
+      phases: Object.fromEntries(
+        Object.entries(this.phases).map(([phase, duration]) => [phase, round(duration)])
+      )
+    };
+  }
+
+  /**
+   * Set a performance mark
+   * @private
+   * @param {string} label - The mark label
+   * @returns {string|null} The mark name, or null without the Performance API
+   */
+  _mark(label) {
+    if (typeof performance === 'undefined' || !performance.mark) {
+      return null;
+    }
+    const mark = `${this.prefix}:${label}`;
+    performance.mark(mark);
+    this.marks.push(mark);
+    return mark;
+  }
+}
+
+export class LoadMetrics {
+  constructor() {
+    this.listeners = new Set();
+    // Remote name -> { phase or 'total': milliseconds }
+    this.budgets = new Map();
+    // Remote name -> recent load metrics, newest last
+    this.history = new Map();
+  }
+
+  /**
+   * Set load budgets for a remote, replacing earlier ones
+   * @param {string} name - The remote name
+   * @param {Object} budgets - { total, manifest, remoteEntry, sharedDependencies, import, mount } in ms
+   */
+  setBudget(name, budgets) {
+    if (budgets) {
+      this.budgets.set(name, { ...budgets });
+    } else {
+      this.budgets.delete(name);
+    }
+  }
+
+  /**
+   * Get the budgets set for a remote
+   * @param {string} name - The remote name
+   * @returns {Object|null} The budgets
+   */
+  getBudget(name) {
+    return this.budgets.get(name) || null;
+  }
+
+  /**
+   * Subscribe to finished loads
+   * @param {Function} listener - (metrics) => void
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Check a finished load against its budgets and notify subscribers
+   * Budgets set with setBudget take precedence over the defaults passed here.
+   * @param {Object} metrics - Result of LoadTimer.finish
+   * @param {Object} [defaultBudgets] - Budgets from the manifest entry
+   * @returns {Object} The metrics, with overBudget: [{ phase, duration, budget }]
+   */
+  publish(metrics, defaultBudgets = null) {
+    const budgets = { ...defaultBudgets, ...this.budgets.get(metrics.name) };
+    const overBudget = Object.entries(budgets)
+      .map(([phase, budget]) => ({
+        phase,
+        budget,
+        duration: phase === 'total' ? metrics.total : metrics.phases[phase]
+      }))
+      .filter(({ duration, budget }) => Number.isFinite(budget) && duration > budget);
+
+    const result = { ...metrics, overBudget };
+
+    if (metrics.outcome === 'loaded' && overBudget.length > 0) {
+      const details = overBudget.map(({ phase, duration, budget }) => `${phase} ${duration}ms > ${budget}ms`);
+      console.warn(`MFE "${metrics.id}" exceeded its load budget: ${details.join(', ')}`);
+    }
+
+    const history = this.history.get(metrics.name) || [];
+    history.push(result);
+    this.history.set(metrics.name, history.slice(-HISTORY_SIZE));
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(result);
+      } catch (error) {
+        console.error('Error in load metrics listener:', error);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Get the recent loads of a remote
+   * @param {string} name - The remote name
+   * @returns {Array<Object>} Metrics of the last loads, newest last
+   */
+  getHistory(name) {
+    return [...(this.history.get(name) || [])];
+  }
+}
+
+/**
+ * Duration of the most recent fetch of a resource, from Resource Timing
+ * @param {string} url - The resource URL
+ * @returns {number|null} Milliseconds, or null if unknown
+ */
+export function resourceDuration(url) {
+  if (!url || typeof performance === 'undefined' || !performance.getEntriesByName) {
+    return null;
+  }
+  const entries = performance.getEntriesByName(url, 'resource');
+  return entries.length > 0 ? entries[entries.length - 1].duration : null;
+}
+
+/**
+ * Create a performance measure between two marks
+ * @param {string} name - The measure name
+ * @param {string|null} start - The start mark
+ * @param {string|null} end - The end mark
+ * @returns {number} The duration in ms
+ */
+function measureBetween(name, start, end) {
+  if (!start || !end) {
+    return NaN;
+  }
+  return performance.measure(name, start, end)?.duration
+    ?? performance.getEntriesByName(name, 'measure').pop()?.duration
+    ?? NaN;
+}
+
+/**
+ * High-resolution time where available
+ * @returns {number} Milliseconds
+ */
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Round to a tenth of a millisecond
+ * @param {number} value - Milliseconds
+ * @returns {number} The rounded value
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Export singleton instance
+export const loadMetrics = new LoadMetrics();
+export default loadMetrics;
@@ -0,0 +1,49 @@
+/**
+ * Loading Indicator Component
+ * Skeleton/spinner shown in an MFE container while the remote is imported and mounted
+ */
+
+/**
+ * Create a loading indicator
+ * @param {string} mfeName - The name of the MFE being loaded
+ * @param {Object} options - Display options
+ * @param {string} options.message - Text shown under the spinner
+ * @returns {HTMLElement} The loading indicator element
+ */
+export function createLoadingIndicator(mfeName, options = {}) {
+  const { message = `Loading ${mfeName}...` } = options;
+
+  const indicator = document.createElement('div');
+  indicator.className = 'loading mfe-loading';
+  indicator.setAttribute('role', 'status');
+  indicator.setAttribute('aria-live', 'polite');
+  indicator.dataset.mfe = mfeName;
+
+  const spinner = document.createElement('div');
+  spinner.className = 'loading-spinner';
+  spinner.setAttribute('aria-hidden', 'true');
+
+  const messageElement = document.createElement('p');
+  messageElement.className = 'loading-message';
+  messageElement.textContent = message;
+
+  indicator.appendChild(spinner);
+  indicator.appendChild(messageElement);
+
+  return indicator;
+}
+
+/**
+ * Mark a loading indicator as slow and update its message
+ * @param {HTMLElement} indicator - An element created by createLoadingIndicator
+ * @param {string} message - The new message
+ */
+export function markLoadingSlow(indicator, message) {
+  indicator.classList.add('mfe-loading-slow');
+  const messageElement = indicator.querySelector('.loading-message');
+  if (messageElement) {
+    messageElement.textContent = message;
+  }
+}
+
+export default { createLoadingIndicator, markLoadingSlow };
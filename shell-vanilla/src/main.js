@@ -6,27 +6,65 @@
 import router from './router.js';
 import { createNavigation, updateActiveLink } from './navigation.js';
 import mfeLoader from './mfe-loader.js';
-import { setupGlobalErrorHandler, withErrorBoundary, createGenericFallback } from './error-boundary.js';
+import eventBus from './event-bus.js';
+import errorReporter, { createConsoleTransport, createBeaconTransport } from './error-reporter.js';
+import shellDevtools from './devtools.js';
+import auth, { createMockIdentityProvider, ACCESS_ALLOWED } from './auth.js';
+import { createMountContext, configureMountContext } from './mount-context.js';
+import { getRoutedRemotes, getRouteLayout } from './manifest.js';
+import {
+  setupGlobalErrorHandler,
+  withErrorBoundary,
+  createGenericFallback,
+  createNotFoundFallback,
+  createForbiddenFallback,
+  showErrorNotification
+} from './error-boundary.js';
 
 /**
- * Render the home page
+ * Marks the shell's own pages (home, login, 404, 403) in the content area
  */
-function renderHome() {
-  console.log('Rendering home page');
-  
+const SHELL_PAGE_CLASS = 'shell-page';
+
+/**
+ * Unload the MFEs in every layout slot and replace the content area with a shell page
+ * @param {HTMLElement} page - The page element to show
+ */
+function showShellPage(page) {
+  page.classList.add(SHELL_PAGE_CLASS);
+
   const content = document.getElementById('content');
   const mfeContainer = document.getElementById('mfe-container');
   
-  // Clear any loaded MFE
-  if (mfeLoader.getCurrentMFE()) {
-    mfeLoader.unloadMFE(mfeLoader.getCurrentMFE());
-  }
+  // Clear any loaded MFE, including header and sidebar widgets; the loader
+  // queues layouts, so a later renderMFE only runs once this clear is done
+  mfeLoader.applyLayout({}).catch(error => {
+    console.error('Failed to clear layout slots:', error);
+  });
   
   // Clear MFE container
   if (mfeContainer) {
     mfeContainer.innerHTML = '';
   }
   
+  // Replace content
+  if (content) {
+    // Keep navigation, replace everything else
+    const existingNav = content.querySelector('nav');
+    content.innerHTML = '';
+    if (existingNav) {
+      content.appendChild(existingNav);
+    }
+    content.appendChild(page);
+  }
+}
+
+/**
+ * Render the home page
+ */
+function renderHome() {
+  console.log('Rendering home page');
+  
   // Create home page content
   const homeContent = document.createElement('div');
   homeContent.className = 'home-page';
@@ -60,91 +98,361 @@ function renderHome() {
       <section class="feature-section">
         <h2>Get Started</h2>
         <p>
-          Click on <strong>MFE1 Dashboard</strong> in the navigation to load the 
-          Angular microfrontend dynamically.
+          Click on a microfrontend such as <strong>MFE1 Dashboard</strong> in the 
+          navigation to load it dynamically.
         </p>
       </section>
     </div>
   `;
   
-  // Replace content
-  if (content) {
-    // Keep navigation, replace everything else
-    const existingNav = content.querySelector('nav');
-    content.innerHTML = '';
-    if (existingNav) {
-      content.appendChild(existingNav);
-    }
-    content.appendChild(homeContent);
-  }
+  showShellPage(homeContent);
   
   // Update active navigation link
   updateActiveLink('/');
 }
 
 /**
- * Load and render MFE1
+ * Render the not-found page for a URL no route or fallback handles
+ * The requested URL stays in the address bar
+ * @param {Object} match - Router match result for the unknown URL
  */
-async function renderMFE1() {
-  console.log('Loading MFE1');
+function renderNotFound(match) {
+  console.log(`Rendering not-found page for ${match.url}`);
   
-  const content = document.getElementById('content');
-  const mfeContainer = document.getElementById('mfe-container');
+  const notFound = createNotFoundFallback(
+    match.url,
+    () => router.navigate('/'),
+    window.history.length > 1 ? () => window.history.back() : null
+  );
+  
+  showShellPage(notFound);
   
-  // Clear home content if present
-  const homeContent = content?.querySelector('.home-page');
-  if (homeContent) {
-    homeContent.remove();
+  // No navigation link corresponds to an unknown URL
+  updateActiveLink(match.path);
+}
+
+/**
+ * Render the forbidden page for a route the user lacks the roles for
+ * The requested URL stays in the address bar and the remote is not loaded
+ * @param {Object} match - Router match result of the denied route
+ */
+function renderForbidden(match) {
+  console.log(`Rendering forbidden page for ${match.url}`);
+  
+  const forbidden = createForbiddenFallback(
+    match.url,
+    match.meta?.roles ?? [],
+    () => router.navigate('/'),
+    window.history.length > 1 ? () => window.history.back() : null
+  );
+  
+  showShellPage(forbidden);
+  updateActiveLink(match.path);
+}
+
+/**
+ * Render the login page, or return right away if already signed in
+ * Signing in continues to the URL in ?returnTo
+ * @param {Object} match - Router match result of the login route
+ */
+async function renderLogin(match) {
+  const returnTo = auth.returnUrl(match.query);
+  await auth.init();
+  if (auth.isAuthenticated()) {
+    router.navigate(returnTo, { replace: true });
+    return;
+  }
+
+  console.log('Rendering login page');
+
+  const page = document.createElement('div');
+  page.className = 'login-page';
+
+  if (!auth.provider) {
+    page.innerHTML = `
+      <div class="login-form">
+        <h1>Sign in</h1>
+        <p class="login-error" role="alert">Signing in is not available: no identity provider is configured.</p>
+      </div>
+    `;
+    showShellPage(page);
+    updateActiveLink(match.path);
+    return;
   }
+
+  page.innerHTML = `
+    <form class="login-form">
+      <h1>Sign in</h1>
+      <label class="login-field">
+        Username
+        <input name="username" autocomplete="username" required>
+      </label>
+      <label class="login-field">
+        Password
+        <input name="password" type="password" autocomplete="current-password" required>
+      </label>
+      <p class="login-error" role="alert" hidden></p>
+      <button type="submit" class="login-submit">Sign in</button>
+      <p class="login-hint" hidden></p>
+    </form>
+  `;
+
+  const form = page.querySelector('form');
+  const errorMessage = page.querySelector('.login-error');
+  const submit = page.querySelector('.login-submit');
+  const hint = page.querySelector('.login-hint');
+  // The mock provider's hint lists its users and passwords; never show it otherwise
+  if (isMockAuthEnabled() && auth.provider.loginHint) {
+    hint.textContent = auth.provider.loginHint;
+    hint.hidden = false;
+  }
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    submit.disabled = true;
+    errorMessage.hidden = true;
+    try {
+      if (await auth.login({ username: form.username.value.trim(), password: form.password.value })) {
+        router.navigate(returnTo, { replace: true });
+      }
+    } catch (error) {
+      errorMessage.textContent = error.message;
+      errorMessage.hidden = false;
+    } finally {
+      submit.disabled = false;
+    }
+  });
+
+  showShellPage(page);
+  updateActiveLink(match.path);
+  form.username.focus();
+}
+
+/**
+ * Load and render a microfrontend declared in the federation manifest
+ * The remote fills the main slot; widgets it declares in "slots" fill the
+ * others. Slots that show the same content as on the previous route are
+ * left mounted.
+ * @param {Object} remote - Normalized manifest entry (name, route, container, slots)
+ * @param {Object} match - Router match result; match.rest is the MFE's own sub-path
+ */
+async function renderMFE(remote, match = null) {
+  const { name, route, container: containerSelector } = remote;
+  console.log(`Loading ${name}`);
+  
+  const content = document.getElementById('content');
+  
+  // Clear the shell page (home, login, 404, 403) the MFE replaces
+  content?.querySelectorAll(`.${SHELL_PAGE_CLASS}`).forEach(page => page.remove());
   
-  // Ensure MFE container exists
-  if (!mfeContainer) {
+  // Ensure the MFE container exists
+  if (!document.querySelector(containerSelector) && containerSelector.startsWith('#')) {
     const newContainer = document.createElement('div');
-    newContainer.id = 'mfe-container';
+    newContainer.id = containerSelector.slice(1);
     content?.appendChild(newContainer);
   }
   
   try {
-    // Clear the container - the mfeLoader will handle loading states
-    const container = document.getElementById('mfe-container');
-    if (container) {
-      container.innerHTML = '';
-    }
-    
-    // Load the MFE - this will handle its own loading state
+    // Swap the slots whose content changes; keep-alive MFEs are only detached
+    // Each slot shows its own loading indicator and enforces its remote's timeout
     // Error handling is done inside mfeLoader.loadMFE, which will display the error boundary
-    await mfeLoader.loadMFE('mfe1', '#mfe-container');
+    // The router's signal aborts the loads if the user navigates elsewhere meanwhile
+    // Every slot receives the mount context of this route
+    const layout = getRouteLayout(remote, slot => createMountContext(route, match, slot));
+    const slots = await mfeLoader.applyLayout(layout, { signal: match?.signal });
     
     // Update active navigation link
-    updateActiveLink('/mfe1');
+    updateActiveLink(route);
     
-    console.log('MFE1 loaded and mounted successfully');
+    if (slots.main === 'failed') {
+      console.error(`Failed to load ${name}`);
+    } else {
+      console.log(`${name} loaded and mounted successfully`);
+    }
     
   } catch (error) {
-    console.error('Failed to load MFE1:', error);
+    if (match?.signal?.aborted) {
+      // Superseded by a newer navigation, which now owns the page
+      return;
+    }
+    console.error(`Failed to load ${name}:`, error);
     // Error boundary is already displayed by mfeLoader._displayError
     // Just ensure navigation is updated
-    updateActiveLink('/mfe1');
+    updateActiveLink(route);
+  }
+}
+
+/**
+ * Register routes for every remote that declares one in the manifest
+ * A remote owns its route and everything below it, so deep links like
+ * /mfe1/reports/42 reach the MFE with '/reports/42' as the sub-path and
+ * the MFE's own router decides what is not found. A remote that lists its
+ * "paths" only gets those; unknown paths below its route go to its
+ * "fallback" module through a router fallback, or to the not-found page.
+ * @param {Array<Object>} remotes - Normalized manifest entries with a route
+ */
+function registerRemoteRoutes(remotes) {
+  remotes.forEach(remote => {
+    const safeRenderRemote = withErrorBoundary(match => renderMFE(remote, match), {
+      context: `${remote.name} Loading`,
+      fallbackContainer: document.querySelector(remote.container)
+    });
+    
+    // The auth guard enforces the remote's requiresAuth and roles
+    const meta = { requiresAuth: remote.requiresAuth, roles: remote.roles };
+    const patterns = remote.paths.length > 0
+      ? remote.paths.map(path => (path === '/' ? remote.route : `${remote.route}${path}`))
+      : [`${remote.route}/*`];
+    
+    // Give the mounted MFE a chance to keep unsaved changes before it is unloaded;
+    // navigating between its own routes only updates it, so it is not asked then
+    const canLeave = to => (!to.fallback && patterns.includes(to.pattern)) || mfeLoader.canUnload(remote.name);
+    patterns.forEach(pattern => router.register(pattern, safeRenderRemote, { canLeave, meta }));
+    
+    if (remote.fallback) {
+      const fallbackRemote = { ...remote, exposedModule: remote.fallback };
+      const safeRenderFallback = withErrorBoundary(match => renderMFE(fallbackRemote, match), {
+        context: `${remote.name} Fallback Loading`,
+        fallbackContainer: document.querySelector(remote.container)
+      });
+      router.registerFallback(remote.route, safeRenderFallback, {
+        canLeave: to => (to.fallback && to.pattern === `${remote.route}/*`) || mfeLoader.canUnload(remote.name),
+        meta
+      });
+    }
+  });
+}
+
+/**
+ * Load the manifest and return the remotes that declare a route
+ * A missing or broken manifest leaves the shell usable with its own pages only
+ * @returns {Promise<Array<Object>>} Normalized manifest entries with a route
+ */
+async function loadRoutedRemotes() {
+  try {
+    const manifest = await mfeLoader.loadManifest();
+    errorReporter.setRemotes(Object.values(manifest.remotes));
+    return getRoutedRemotes(manifest);
+  } catch (error) {
+    console.error('Failed to load federation manifest:', error);
+    showErrorNotification(
+      'Microfrontends unavailable',
+      'The federation manifest could not be loaded'
+    );
+    return [];
+  }
+}
+
+/**
+ * Send errors to the console in development and to VITE_ERROR_REPORT_URL if set
+ */
+function setupErrorReporting() {
+  errorReporter.configure({
+    getContext: () => ({
+      route: router.getCurrentUrl() ?? window.location.pathname,
+      loadedMFEs: mfeLoader.getLoadedMFEs()
+    })
+  });
+
+  if (import.meta.env?.DEV) {
+    errorReporter.addTransport('console', createConsoleTransport());
+  }
+
+  const endpoint = import.meta.env?.VITE_ERROR_REPORT_URL;
+  if (endpoint) {
+    errorReporter.addTransport('beacon', createBeaconTransport(endpoint));
   }
 }
 
+/**
+ * Check whether the shell signs in through the mock identity provider
+ * @returns {boolean} True in development, or in builds with VITE_AUTH_MOCK=true
+ */
+function isMockAuthEnabled() {
+  return Boolean(import.meta.env?.DEV) || import.meta.env?.VITE_AUTH_MOCK === 'true';
+}
+
+/**
+ * Sign users in through the identity provider and hand their credentials to MFEs
+ * Other builds need a real provider implementing the same interface (see auth.js),
+ * passed to auth.configure({ provider }) before the shell starts.
+ */
+function setupAuth() {
+  if (isMockAuthEnabled()) {
+    // Fixed users and unsigned tokens: for development and tests only
+    console.warn('Signing in through the mock identity provider');
+    auth.configure({ provider: createMockIdentityProvider() });
+  } else if (!auth.provider) {
+    console.error('No identity provider is configured; protected routes cannot be opened');
+  }
+  auth.init();
+
+  // A remote claiming the login route would shadow the login page
+  mfeLoader.configure({ reservedRoutes: [auth.loginPath] });
+
+  configureMountContext({
+    getAuthToken: () => auth.getToken(),
+    getUser: () => auth.getUser()
+  });
+  router.beforeEach(auth.guard);
+
+  // Re-check the current route when access changes: signing out of a protected
+  // route leads to the login page, losing a role to the forbidden page, and
+  // gaining one from the forbidden page to the route itself
+  auth.subscribe(() => {
+    const current = router.getCurrentMatch();
+    const allowed = auth.canAccess(current?.meta) === ACCESS_ALLOWED;
+    if (current && (current.forbidden ? allowed : !allowed)) {
+      router.navigate(current.url, { replace: true, state: current.state });
+    }
+  });
+}
+
 /**
  * Initialize the application
  */
-function initApp() {
+async function initApp() {
   console.log('Initializing Vanilla Shell application');
   
   try {
-    // Set up global error handler to catch unhandled errors
+    // Set up global error handler to catch and report unhandled errors
+    setupErrorReporting();
     setupGlobalErrorHandler();
     
     // Make router globally accessible for error boundary
     window.router = router;
     
+    // Let MFEs follow shell navigation through the event bus instead of globals
+    // Plain data only: the router's match holds its handler and abort signal,
+    // which MFEs must not see and the iframe bridge cannot post
+    eventBus.defineTopic('shell/navigation', 'object');
+    router.on('navigationend', ({ path, from, notFound }) => {
+      eventBus.publish('shell/navigation', { path, from: from?.url ?? null, notFound });
+    });
+    
+    // Restore the login state and protect routes before the first navigation
+    setupAuth();
+    
+    // Devtools overlay and localStorage remote overrides, before the manifest is loaded
+    shellDevtools.init();
+    
+    // Fetch and validate the federation manifest up front: it declares
+    // the routes and navigation entries of every microfrontend
+    const remotes = await loadRoutedRemotes();
+    
     // Create and mount navigation
     const navPlaceholder = document.getElementById('navigation');
     if (navPlaceholder) {
-      const nav = createNavigation();
+      const remoteLinks = remotes
+        .filter(remote => remote.label)
+        .map(remote => ({
+          path: remote.route,
+          label: remote.label,
+          remote: remote.name,
+          requiresAuth: remote.requiresAuth,
+          roles: remote.roles
+        }));
+      const nav = createNavigation(remoteLinks);
       navPlaceholder.replaceWith(nav);
     }
     
@@ -154,19 +462,33 @@ function initApp() {
       fallbackContainer: document.getElementById('content')
     });
     
-    const safeRenderMFE1 = withErrorBoundary(renderMFE1, {
-      context: 'MFE1 Loading',
-      fallbackContainer: document.getElementById('mfe-container')
-    });
-    
     // Register routes with error-wrapped handlers
     router.register('/', safeRenderHome);
     router.register('/home', safeRenderHome);
-    router.register('/mfe1', safeRenderMFE1);
+    router.register(auth.loginPath, withErrorBoundary(renderLogin, {
+      context: 'Login Page',
+      fallbackContainer: document.getElementById('content')
+    }));
+    registerRemoteRoutes(remotes);
+    
+    // Unknown URLs outside every remote's prefix get a real 404 page
+    router.setNotFound(withErrorBoundary(renderNotFound, {
+      context: 'Not Found Page',
+      fallbackContainer: document.getElementById('content')
+    }));
+    
+    // Routes the auth guard denies get a 403 page instead of loading the remote
+    router.setForbidden(withErrorBoundary(renderForbidden, {
+      context: 'Forbidden Page',
+      fallbackContainer: document.getElementById('content')
+    }));
     
     // Initialize router (this will handle the initial route)
     router.init();
     
+    // Warm remotes flagged for prefetch once the browser is idle
+    mfeLoader.prefetchFromManifest();
+    
     console.log('Application initialized successfully');
   } catch (error) {
     console.error('Failed to initialize application:', error);
@@ -189,4 +511,4 @@ if (document.readyState === 'loading') {
 }
 
 // Export for testing purposes
-export { renderHome, renderMFE1, initApp };
+export { renderHome, renderLogin, renderMFE, renderNotFound, renderForbidden, initApp };
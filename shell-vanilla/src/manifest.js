@@ -0,0 +1,727 @@
+/**
+ * Federation Manifest Module
+ * Fetches and validates the federation manifest served with the shell
+ * Maps remote names to their remoteEntry.json URLs and route configuration
+ *
+ * An entry is either a plain remoteEntry.json URL or an object:
+ *   {
+ *     "remoteEntry": "http://localhost:4201/remoteEntry.json",
+ *     "route": "/mfe1",
+ *     "label": "MFE1 Dashboard",
+ *     "exposedModule": "./bootstrap",
+ *     "container": "#mfe-container",
+ *     "timeout": 30000,
+ *     "slowThreshold": 5000,
+ *     "prefetch": true,
+ *     "keepAlive": true,
+ *     "isolation": "shadow",
+ *     "styles": ["http://localhost:4201/styles.css"],
+ *     "budgets": { "total": 3000, "mount": 1000 },
+ *     "sharedPolicy": "refuse",
+ *     "integrity": { "remoteEntry": "sha384-...", "./bootstrap": "sha384-..." },
+ *     "requiresAuth": true,
+ *     "roles": ["admin"],
+ *     "paths": ["/", "/orders/:id"],
+ *     "fallback": "./not-found",
+ *     "slots": {
+ *       "header": { "remote": "mfe2", "module": "./header-widget" }
+ *     }
+ *   }
+ *
+ * The entry itself fills the route's main slot; "slots" names the remote
+ * modules mounted next to it in other layout slots (#slot-<name> by default).
+ *
+ * A remote owns everything below its route unless it lists its "paths"
+ * (relative to the route). Unknown paths below the route then render its
+ * "fallback" module, or the shell's not-found page without one.
+ *
+ * "remoteEntry" may also list several URLs in order of preference, e.g. a
+ * primary origin, a CDN mirror and a last-known-good version; the loader
+ * uses the first healthy one (see remote-health.js). "remoteEntry" holds
+ * the URL in use and "origins" all of them.
+ *
+ * Remotes that cannot be loaded through federation can be framed instead:
+ *   { "strategy": "iframe", "url": "https://legacy.example.com/app/", "route": "/legacy" }
+ * Framed pages run with an opaque origin unless "allowSameOrigin" is set.
+ *
+ * Keys starting with an underscore (e.g. "_comment") are treated as metadata
+ * and ignored. Malformed entries are collected instead of aborting the whole
+ * manifest, so one broken remote does not take down the others.
+ */
+
+import { LOAD_PHASES } from './load-metrics.js';
+import { SHARED_POLICIES } from './shared-dependencies.js';
+import { parseIntegrity, isOriginAllowed, isLoopbackUrl } from './remote-security.js';
+
+/**
+ * Default location of the manifest, relative to the shell origin
+ */
+export const DEFAULT_MANIFEST_URL = '/federation.manifest.json';
+
+/**
+ * Defaults applied to object entries that omit optional fields
+ */
+export const DEFAULT_EXPOSED_MODULE = './bootstrap';
+export const DEFAULT_CONTAINER = '#mfe-container';
+
+/**
+ * How a remote is loaded: imported through native federation or framed (see iframe-bridge.js)
+ */
+export const STRATEGY_FEDERATION = 'federation';
+export const STRATEGY_IFRAME = 'iframe';
+const STRATEGIES = [STRATEGY_FEDERATION, STRATEGY_IFRAME];
+
+/**
+ * Style isolation modes: mount into the page, or into a shadow root (see style-isolation.js)
+ */
+export const ISOLATION_NONE = 'none';
+export const ISOLATION_SHADOW = 'shadow';
+const ISOLATION_MODES = [ISOLATION_NONE, ISOLATION_SHADOW];
+
+/**
+ * Routes owned by the shell itself that remotes may not claim
+ * Further shell routes, such as the login page, are passed in by the shell.
+ */
+const RESERVED_ROUTES = ['/', '/home'];
+
+/**
+ * Layout slot filled by the routed remote itself
+ */
+export const MAIN_SLOT = 'main';
+
+/**
+ * Resolve the manifest URL the shell should use
+ * Priority: explicit value, <meta name="federation-manifest">, VITE_FEDERATION_MANIFEST_URL, default
+ * @param {string} [explicitUrl] - URL passed in by the caller
+ * @returns {string} The manifest URL
+ */
+export function resolveManifestUrl(explicitUrl) {
+  if (explicitUrl) {
+    return explicitUrl;
+  }
+
+  const meta = typeof document !== 'undefined'
+    ? document.querySelector('meta[name="federation-manifest"]')
+    : null;
+  if (meta && meta.content) {
+    return meta.content;
+  }
+
+  const envUrl = import.meta.env?.VITE_FEDERATION_MANIFEST_URL;
+  if (envUrl) {
+    return envUrl;
+  }
+
+  return DEFAULT_MANIFEST_URL;
+}
+
+/**
+ * Fetch and validate the federation manifest
+ * @param {string} url - The manifest URL
+ * @param {Object} [options] - Parse options, as for parseManifest()
+ * @returns {Promise<Object>} The parsed manifest ({ source, remotes, errors })
+ */
+export async function fetchManifest(url = DEFAULT_MANIFEST_URL, options = {}) {
+  let response;
+  try {
+    response = await fetch(url, { cache: 'no-cache' });
+  } catch (error) {
+    throw new Error(`Failed to fetch federation manifest from "${url}": ${error.message}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch federation manifest from "${url}": HTTP ${response.status}`);
+  }
+
+  let raw;
+  try {
+    raw = await response.json();
+  } catch (error) {
+    throw new Error(`Federation manifest at "${url}" is not valid JSON: ${error.message}`);
+  }
+
+  return parseManifest(raw, url, options);
+}
+
+/**
+ * Validate a raw manifest object
+ * @param {Object} raw - The manifest JSON
+ * @param {string} source - Where the manifest came from (used in messages and to resolve relative URLs)
+ * @param {Object} [options] - Parse options
+ * @param {Array<string>} [options.reservedRoutes] - Shell routes remotes may not claim, besides "/" and "/home"
+ * @returns {Object} { source, remotes, errors } where remotes maps name to a normalized entry
+ */
+export function parseManifest(raw, source = DEFAULT_MANIFEST_URL, { reservedRoutes = [] } = {}) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Federation manifest "${source}" must be a JSON object mapping remote names to remoteEntry.json URLs`);
+  }
+
+  const remotes = {};
+  const errors = [];
+  const routeOwners = new Map();
+  const reserved = [...RESERVED_ROUTES, ...reservedRoutes.map(normalizeRoute)];
+
+  for (const [name, entry] of Object.entries(raw)) {
+    if (isMetadataKey(name)) {
+      continue;
+    }
+
+    try {
+      const normalized = normalizeEntry(name, entry, source);
+
+      if (normalized.route) {
+        if (reserved.includes(normalized.route)) {
+          throw new Error(`route "${normalized.route}" is reserved by the shell`);
+        }
+        if (routeOwners.has(normalized.route)) {
+          throw new Error(`route "${normalized.route}" is already used by remote "${routeOwners.get(normalized.route)}"`);
+        }
+        routeOwners.set(normalized.route, name);
+      }
+
+      remotes[name] = normalized;
+    } catch (error) {
+      errors.push({ name, message: error.message });
+    }
+  }
+
+  // A slot pointing at an unknown remote is dropped without losing the route
+  for (const entry of Object.values(remotes)) {
+    for (const [slot, { remote }] of Object.entries(entry.slots)) {
+      if (!remotes[remote]) {
+        delete entry.slots[slot];
+        errors.push({ name: entry.name, message: `slot "${slot}" references unknown remote "${remote}"` });
+      }
+    }
+  }
+
+  return { source, remotes, errors };
+}
+
+/**
+ * List the remotes that declare a route, in manifest order
+ * @param {Object} manifest - A parsed manifest
+ * @returns {Array<Object>} Normalized entries with a route
+ */
+export function getRoutedRemotes(manifest) {
+  return Object.values(manifest.remotes).filter(entry => entry.route);
+}
+
+/**
+ * Build the plain name -> remoteEntry map expected by initFederation
+ * Iframe remotes and blocked remotes (origin allowlist, integrity check) are left out.
+ * @param {Object} manifest - A parsed manifest
+ * @returns {Object<string, string>} Remote names mapped to remoteEntry.json URLs
+ */
+export function toFederationManifest(manifest) {
+  const result = {};
+  for (const [name, entry] of Object.entries(manifest.remotes)) {
+    if (entry.strategy === STRATEGY_FEDERATION && !entry.blocked) {
+      result[name] = entry.remoteEntry;
+    }
+  }
+  return result;
+}
+
+/**
+ * Build the slot layout of a remote's route, as expected by mfeLoader.applyLayout
+ * The main slot is always refreshed so the MFE sees the new route: through
+ * update() where the MFE supports it, otherwise by remounting.
+ * @param {Object} entry - Normalized manifest entry with a route
+ * @param {Function} optionsFor - (slot) => mount options for the MFE in that slot
+ * @returns {Object<string, Object>} Slot name -> { remote, module, container, options, remount }
+ */
+export function getRouteLayout(entry, optionsFor = () => undefined) {
+  const layout = {};
+  for (const [slot, assignment] of Object.entries(entry.slots)) {
+    layout[slot] = { ...assignment, options: optionsFor(slot) };
+  }
+
+  layout[MAIN_SLOT] = {
+    remote: entry.name,
+    module: entry.exposedModule,
+    container: entry.container,
+    options: optionsFor(MAIN_SLOT),
+    remount: true
+  };
+  return layout;
+}
+
+/**
+ * Point remotes at other URLs, e.g. a local dev server, without editing the manifest
+ * A federation override may name the remoteEntry.json or the directory serving it;
+ * an iframe override replaces the framed page. Overridden entries keep their
+ * original URL in overriddenFrom.
+ * @param {Object} manifest - Parsed manifest
+ * @param {Object<string, string>} overrides - Remote name -> URL
+ * @returns {Object} { manifest, errors } - the manifest with the valid overrides applied,
+ *   and { name, message } for each override that was ignored
+ */
+export function applyRemoteOverrides(manifest, overrides = {}) {
+  const remotes = { ...manifest.remotes };
+  const errors = [];
+
+  Object.entries(overrides).forEach(([name, value]) => {
+    const entry = remotes[name];
+    if (!entry) {
+      errors.push({ name, message: 'the manifest does not declare this remote' });
+      return;
+    }
+
+    let url = null;
+    try {
+      url = new URL(value);
+    } catch {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push({ name, message: `expected an absolute http(s) URL, got ${describeValue(value)}` });
+      return;
+    }
+
+    if (entry.strategy === STRATEGY_IFRAME) {
+      remotes[name] = { ...entry, url: url.href, overriddenFrom: entry.url };
+    } else {
+      const remoteEntry = url.pathname.endsWith('.json')
+        ? url.href
+        : new URL('remoteEntry.json', url.href.replace(/\/?$/, '/')).href;
+      remotes[name] = { ...entry, remoteEntry, origins: [remoteEntry], overriddenFrom: entry.remoteEntry };
+    }
+  });
+
+  return { manifest: { ...manifest, remotes }, errors };
+}
+
+/**
+ * Restrict remotes to the origins the shell allows (see remote-security.js)
+ * Disallowed failover origins are dropped; a remote with no allowed origin,
+ * or with a disallowed iframe page or stylesheet, is kept with the reason in
+ * "blocked" so loading it fails with a clear error. With allowLoopbackOverrides,
+ * loopback URLs set through an override are allowed too, so a dev build of the
+ * shell can load a local remote.
+ * @param {Object} manifest - Parsed manifest
+ * @param {Array<string>|null} allowlist - Allowed origins; null allows everything
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.allowLoopbackOverrides=false] - Allow overridden remotes on loopback URLs
+ * @returns {Object} { manifest, dropped } - the restricted manifest, and
+ *   { name, urls } for each remote that lost some of its origins
+ */
+export function applyOriginAllowlist(manifest, allowlist, { allowLoopbackOverrides = false } = {}) {
+  const remotes = {};
+  const dropped = [];
+
+  Object.entries(manifest.remotes).forEach(([name, entry]) => {
+    const allowed = url => isOriginAllowed(url, allowlist) || Boolean(allowLoopbackOverrides && entry.overriddenFrom && isLoopbackUrl(url));
+    const styles = entry.styles.filter(url => !allowed(url));
+    let remote = { ...entry, blocked: null };
+
+    if (entry.strategy === STRATEGY_IFRAME) {
+      if (!allowed(entry.url)) {
+        remote.blocked = `${entry.url} is not an allowed origin`;
+      }
+    } else {
+      const origins = entry.origins.filter(allowed);
+      if (origins.length === 0) {
+        remote.blocked = `${entry.origins.join(', ')} ${entry.origins.length > 1 ? 'are not allowed origins' : 'is not an allowed origin'}`;
+      } else if (origins.length < entry.origins.length) {
+        dropped.push({ name, urls: entry.origins.filter(url => !origins.includes(url)) });
+        remote = { ...remote, origins, remoteEntry: origins.includes(entry.remoteEntry) ? entry.remoteEntry : origins[0] };
+      }
+    }
+    if (!remote.blocked && styles.length > 0) {
+      remote.blocked = `stylesheet ${styles.join(', ')} is not from an allowed origin`;
+    }
+    remotes[name] = remote;
+  });
+
+  return { manifest: { ...manifest, remotes }, dropped };
+}
+
+/**
+ * Describe a manifest problem for a single remote in a human readable way
+ * @param {Object} manifest - A parsed manifest
+ * @param {string} name - The remote name
+ * @returns {string} The error message
+ */
+export function describeMissingRemote(manifest, name) {
+  const invalid = manifest.errors.find(error => error.name === name);
+  if (invalid) {
+    return `Remote "${name}" has an invalid entry in ${manifest.source}: ${invalid.message}`;
+  }
+  return `Remote "${name}" is not declared in ${manifest.source}`;
+}
+
+/**
+ * Check whether a manifest key is metadata rather than a remote
+ * @param {string} key - The manifest key
+ * @returns {boolean} True for keys like "_comment"
+ */
+function isMetadataKey(key) {
+  return key.startsWith('_');
+}
+
+/**
+ * Normalize a single manifest entry
+ * @param {string} name - The remote name
+ * @param {*} entry - The raw entry value
+ * @param {string} source - The manifest URL, used as base for relative URLs
+ * @returns {Object} The normalized entry
+ */
+function normalizeEntry(name, entry, source) {
+  if (!name.trim()) {
+    throw new Error('Remote name must not be empty');
+  }
+
+  if (typeof entry === 'string' || Array.isArray(entry)) {
+    entry = { remoteEntry: entry };
+  }
+
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`expected a remoteEntry.json URL or an entry object, got ${describeValue(entry)}`);
+  }
+
+  const strategy = readString(entry, 'strategy') || STRATEGY_FEDERATION;
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`"strategy" must be one of ${STRATEGIES.map(value => `"${value}"`).join(', ')}, got "${strategy}"`);
+  }
+
+  const origins = Array.isArray(entry.remoteEntry)
+    ? [...new Set(readUrlList(entry, 'remoteEntry', source))]
+    : [readString(entry, 'remoteEntry')].filter(Boolean).map(value => resolveUrl(value, source));
+  const url = readString(entry, 'url');
+  if (strategy === STRATEGY_FEDERATION && origins.length === 0) {
+    throw new Error('"remoteEntry" is required');
+  }
+  if (strategy === STRATEGY_IFRAME && !url) {
+    throw new Error('"url" is required for the iframe strategy');
+  }
+
+  const route = readString(entry, 'route');
+  if (route && !route.startsWith('/')) {
+    throw new Error(`"route" must start with "/", got "${route}"`);
+  }
+
+  const label = readString(entry, 'label');
+  if (label && !route) {
+    throw new Error('"label" requires a "route"');
+  }
+
+  const isolation = readString(entry, 'isolation');
+  if (isolation && !ISOLATION_MODES.includes(isolation)) {
+    throw new Error(`"isolation" must be one of ${ISOLATION_MODES.map(value => `"${value}"`).join(', ')}, got "${isolation}"`);
+  }
+
+  const roles = readStringList(entry, 'roles');
+  if (roles.length > 0 && !route) {
+    throw new Error('"roles" requires a "route"');
+  }
+
+  const paths = readStringList(entry, 'paths');
+  if (paths.length > 0 && !route) {
+    throw new Error('"paths" requires a "route"');
+  }
+  paths.forEach(path => {
+    if (!path.startsWith('/')) {
+      throw new Error(`"paths" entries must start with "/", got "${path}"`);
+    }
+    if (path.split('/').slice(0, -1).includes('*')) {
+      throw new Error(`"paths" entry "${path}" may only use "*" as its last segment`);
+    }
+  });
+
+  const fallback = readString(entry, 'fallback');
+  if (fallback && paths.length === 0) {
+    throw new Error('"fallback" requires "paths"; without them the remote owns every path below its route');
+  }
+  if (fallback && strategy !== STRATEGY_FEDERATION) {
+    throw new Error('"fallback" is only supported by the federation strategy');
+  }
+
+  const sharedPolicy = readString(entry, 'sharedPolicy');
+  if (sharedPolicy && !SHARED_POLICIES.includes(sharedPolicy)) {
+    throw new Error(`"sharedPolicy" must be one of ${SHARED_POLICIES.map(value => `"${value}"`).join(', ')}, got "${sharedPolicy}"`);
+  }
+
+  // Scripts plus same origin let a framed page remove its own sandbox, so that
+  // combination needs the explicit flag rather than a sandbox string
+  const sandbox = readString(entry, 'sandbox');
+  const allowSameOrigin = readBoolean(entry, 'allowSameOrigin');
+  if (sandbox && sandbox.split(/\s+/).includes('allow-same-origin')) {
+    throw new Error('"sandbox" must not contain "allow-same-origin"; set "allowSameOrigin": true instead');
+  }
+  // Messages to an opaque-origin frame are posted with "*", which is no place for a token
+  const shareAuthToken = readBoolean(entry, 'shareAuthToken');
+  if (shareAuthToken && !allowSameOrigin) {
+    throw new Error('"shareAuthToken" requires "allowSameOrigin"');
+  }
+
+  const slots = readSlots(entry);
+  if (Object.keys(slots).length > 0 && !route) {
+    throw new Error('"slots" requires a "route"');
+  }
+
+  return {
+    name,
+    strategy,
+    remoteEntry: origins[0] || null,
+    origins,
+    url: url ? resolveUrl(url, source) : null,
+    sandbox,
+    allowSameOrigin: strategy === STRATEGY_IFRAME && allowSameOrigin,
+    shareAuthToken: strategy === STRATEGY_IFRAME && shareAuthToken,
+    route: route ? normalizeRoute(route) : null,
+    paths: [...new Set(paths.map(normalizeRoute))],
+    fallback: fallback || null,
+    label: label || null,
+    exposedModule: strategy === STRATEGY_FEDERATION
+      ? readString(entry, 'exposedModule') || DEFAULT_EXPOSED_MODULE
+      : null,
+    container: readString(entry, 'container') || DEFAULT_CONTAINER,
+    timeout: readDuration(entry, 'timeout'),
+    budgets: readBudgets(entry),
+    slowThreshold: readDuration(entry, 'slowThreshold'),
+    prefetch: readBoolean(entry, 'prefetch'),
+    keepAlive: readBoolean(entry, 'keepAlive'),
+    isolation,
+    styles: readUrlList(entry, 'styles', source),
+    sharedPolicy,
+    integrity: strategy === STRATEGY_FEDERATION ? readIntegrity(entry) : null,
+    blocked: null,
+    // Roles can only be checked for a signed-in user
+    requiresAuth: readBoolean(entry, 'requiresAuth') || roles.length > 0,
+    roles,
+    slots
+  };
+}
+
+/**
+ * Read an optional list of URLs from an entry object
+ * @param {Object} entry - The raw entry
+ * @param {string} field - The field name
+ * @param {string} source - The manifest URL, used as base for relative URLs
+ * @returns {Array<string>} The absolute URLs, empty if absent
+ */
+function readUrlList(entry, field, source) {
+  const value = entry[field];
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+    throw new Error(`"${field}" must be an array of URLs, got ${describeValue(value)}`);
+  }
+  return value.map(item => resolveUrl(item.trim(), source));
+}
+
+/**
+ * Read an optional list of strings from an entry object
+ * @param {Object} entry - The raw entry
+ * @param {string} field - The field name
+ * @returns {Array<string>} The trimmed strings, empty if absent
+ */
+function readStringList(entry, field) {
+  const value = entry[field];
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+    throw new Error(`"${field}" must be an array of non-empty strings, got ${describeValue(value)}`);
+  }
+  return [...new Set(value.map(item => item.trim()))];
+}
+
+/**
+ * Read the optional layout slots of an entry object
+ * @param {Object} entry - The raw entry
+ * @returns {Object<string, Object>} Slot name -> { remote, module, container }
+ */
+function readSlots(entry) {
+  const value = entry.slots;
+  if (value === undefined || value === null) {
+    return {};
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`"slots" must map slot names to { remote, module } objects, got ${describeValue(value)}`);
+  }
+
+  const slots = {};
+  for (const [slot, assignment] of Object.entries(value)) {
+    if (!/^[a-z][\w-]*$/i.test(slot)) {
+      throw new Error(`slot name "${slot}" must start with a letter and contain only letters, digits, "-" and "_"`);
+    }
+    if (slot === MAIN_SLOT) {
+      throw new Error(`slot "${MAIN_SLOT}" is filled by the entry itself`);
+    }
+    if (!assignment || typeof assignment !== 'object' || Array.isArray(assignment)) {
+      throw new Error(`slot "${slot}" must be a { remote, module } object, got ${describeValue(assignment)}`);
+    }
+
+    const remote = readString(assignment, 'remote');
+    if (!remote) {
+      throw new Error(`slot "${slot}" requires a "remote"`);
+    }
+
+    slots[slot] = {
+      remote,
+      module: readString(assignment, 'module'),
+      container: readString(assignment, 'container') || `#slot-${slot}`
+    };
+  }
+  return slots;
+}
+
+/**
+ * Read an optional boolean flag from an entry object
+ * @param {Object} entry - The raw entry
+ * @param {string} field - The field name
+ * @returns {boolean} The flag, false if absent
+ */
+function readBoolean(entry, field) {
+  const value = entry[field];
+  if (value === undefined || value === null) {
+    return false;
+  }
+  if (typeof value !== 'boolean') {
+    throw new Error(`"${field}" must be true or false, got ${describeValue(value)}`);
+  }
+  return value;
+}
+
+/**
+ * Read an optional duration in milliseconds from an entry object
+ * @param {Object} entry - The raw entry
+ * @param {string} field - The field name
+ * @returns {number|null} The duration, or null if absent
+ */
+function readDuration(entry, field) {
+  const value = entry[field];
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    throw new Error(`"${field}" must be a positive number of milliseconds, got ${describeValue(value)}`);
+  }
+  return value;
+}
+
+/**
+ * Read optional load budgets (see load-metrics.js) from an entry object
+ * @param {Object} entry - The raw entry
+ * @returns {Object|null} Phase or "total" -> milliseconds, or null if absent
+ */
+function readBudgets(entry) {
+  const value = entry.budgets;
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`"budgets" must be an object, got ${describeValue(value)}`);
+  }
+  const phases = ['total', ...LOAD_PHASES];
+  Object.keys(value).forEach(phase => {
+    if (!phases.includes(phase)) {
+      throw new Error(`Unknown budget "${phase}"; expected one of ${phases.join(', ')}`);
+    }
+    readDuration(value, phase);
+  });
+  return { ...value };
+}
+
+/**
+ * Read optional integrity hashes from an entry object
+ * A string pins the remoteEntry.json; an object may also pin exposed modules by key.
+ * @param {Object} entry - The raw entry
+ * @returns {Object|null} { remoteEntry, modules: { key: hash } }, or null if absent
+ */
+function readIntegrity(entry) {
+  const value = typeof entry.integrity === 'string' ? { remoteEntry: entry.integrity } : entry.integrity;
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`"integrity" must be a hash or an object of hashes, got ${describeValue(value)}`);
+  }
+
+  Object.entries(value).forEach(([key, hash]) => {
+    if (typeof hash !== 'string' || parseIntegrity(hash).length === 0) {
+      throw new Error(`integrity of "${key}" must be "sha256-", "sha384-" or "sha512-" followed by a base64 digest, got ${describeValue(hash)}`);
+    }
+  });
+
+  const { remoteEntry = null, ...modules } = value;
+  return { remoteEntry, modules };
+}
+
+/**
+ * Read an optional string field from an entry object
+ * @param {Object} entry - The raw entry
+ * @param {string} field - The field name
+ * @returns {string|null} The trimmed value, or null if absent
+ */
+function readString(entry, field) {
+  const value = entry[field];
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`"${field}" must be a non-empty string, got ${describeValue(value)}`);
+  }
+  return value.trim();
+}
+
+/**
+ * Strip a trailing slash so "/mfe1/" and "/mfe1" register the same route
+ * @param {string} route - The route path
+ * @returns {string} The normalized route
+ */
+function normalizeRoute(route) {
+  return route.length > 1 ? route.replace(/\/+$/, '') : route;
+}
+
+/**
+ * Resolve and validate a remote URL
+ * @param {string} value - Absolute or manifest-relative URL
+ * @param {string} source - The manifest URL
+ * @returns {string} The absolute URL
+ */
+function resolveUrl(value, source) {
+  let url;
+  try {
+    const base = new URL(source, window.location.href);
+    url = new URL(value, base);
+  } catch {
+    throw new Error(`"${value}" is not a valid URL`);
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`"${value}" must use http or https`);
+  }
+
+  return url.href;
+}
+
+/**
+ * Short description of a value for error messages
+ * @param {*} value - Any value
+ * @returns {string} The description
+ */
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (value === '') return 'an empty string';
+  if (typeof value === 'string') return `"${value}"`;
+  if (typeof value === 'number') return String(value);
+  return typeof value;
+}
+
+export default {
+  DEFAULT_MANIFEST_URL,
+  resolveManifestUrl,
+  fetchManifest,
+  parseManifest,
+  getRoutedRemotes,
+  getRouteLayout,
+  toFederationManifest,
+  applyRemoteOverrides,
+  applyOriginAllowlist,
+  describeMissingRemote
+};
@@ -8,28 +8,300 @@
  */
 
 import { createMFEFallback } from './error-boundary.js';
+import errorReporter from './error-reporter.js';
+import { createLoadingIndicator, markLoadingSlow } from './loading-indicator.js';
+import { CircuitBreaker, CIRCUIT_CLOSED } from './circuit-breaker.js';
+import eventBus from './event-bus.js';
+import sharedStore from './shared-store.js';
+import { resolveLifecycle, mountLifecycle } from './lifecycle.js';
 import { initFederation } from 'vanilla-native-federation';
+import {
+  resolveManifestUrl,
+  fetchManifest,
+  toFederationManifest,
+  describeMissingRemote,
+  applyRemoteOverrides,
+  applyOriginAllowlist,
+  STRATEGY_IFRAME,
+  ISOLATION_NONE,
+  ISOLATION_SHADOW
+} from './manifest.js';
+import { createIframeModule } from './iframe-bridge.js';
+import { createShadowMount, captureHeadStyles } from './style-isolation.js';
+import loadMetrics, { LoadTimer, resourceDuration } from './load-metrics.js';
+import { probeOrigin, selectOrigin, DEFAULT_PROBE_TIMEOUT } from './remote-health.js';
+import {
+  SharedDependencyRegistry,
+  readSharedDependencies,
+  mapOwnCopies,
+  describeConflict,
+  createSharedDependencyError,
+  SHARED_POLICY_WARN,
+  SHARED_POLICY_REFUSE,
+  SHARED_POLICY_OWN_COPY,
+  RESOLUTION_MISMATCH,
+  RESOLUTION_OWN_COPY
+} from './shared-dependencies.js';
+import {
+  readAllowedOrigins,
+  parseOriginList,
+  verifyIntegrity,
+  createSecurityError
+} from './remote-security.js';
+import {
+  STAGED_IMPORT_MAP_TYPE,
+  takeStagedImportMap,
+  mergeImportMaps,
+  installImportMap
+} from './import-map.js';
 
 class MFELoader {
   constructor() {
     // Track loaded MFEs with their metadata
     this.loadedMFEs = new Map();
-    // Track the currently active MFE
+    // Track the currently active MFE, i.e. the one in the main slot
     this.currentMFE = null;
+    // Layout slot name -> id of the instance mounted in it
+    this.slotInstances = new Map();
+    // Last applyLayout call; each call waits for the previous one to finish
+    this.layoutQueue = Promise.resolve();
     // Track if federation is initialized
     this.federationInitialized = false;
+    // Where the federation manifest is served from
+    this.manifestUrl = resolveManifestUrl();
+    // The parsed manifest and the pending fetch for it
+    this.manifest = null;
+    this.manifestPromise = null;
+    // Remote name -> URL replacing the manifest's, e.g. from the devtools overlay
+    this.remoteOverrides = {};
+    // Whether overrides may skip the allowlist (loopback URLs) and integrity checks
+    this.trustLocalOverrides = false;
+    // Shell routes, besides "/" and "/home", that manifest remotes may not claim
+    this.reservedRoutes = [];
+    // Loading indicator and timeout defaults, overridable per remote in the manifest
+    this.loadTimeout = 30000;
+    this.slowThreshold = 5000;
+    this.renderLoading = createLoadingIndicator;
+    // Pending or completed federation initialization, shared by all loads
+    this.federationPromise = null;
+    // Automatic retries for transient import failures
+    this.retryOptions = { attempts: 3, baseDelay: 500, maxDelay: 5000 };
+    // One circuit breaker per remote
+    this.circuitOptions = { failureThreshold: 3, cooldown: 30000 };
+    this.circuits = new Map();
+    // Imported (or importing) remote modules, shared by prefetch and load
+    this.modulePromises = new Map();
+    // Opt-in keep-alive: deactivated MFEs in least-recently-used order
+    this.keepAliveOptions = { enabled: false, mode: 'detach', max: 3, memoryBudgetMB: null };
+    this.keptAlive = new Map();
+    // Default style isolation, overridable per remote in the manifest
+    this.isolation = ISOLATION_NONE;
+    // Versions of shared dependencies loaded so far, and what to do on a conflict
+    this.sharedDependencies = new SharedDependencyRegistry();
+    this.sharedPolicy = SHARED_POLICY_WARN;
+    // Remote name -> SharedDependencyError for remotes refused because of conflicts
+    this.sharedRefusals = new Map();
+    // Origin probes before failing over to a remote's next remoteEntry URL
+    this.healthOptions = { timeout: DEFAULT_PROBE_TIMEOUT };
+    // Origins remote code may be loaded from; null allows all
+    this.allowedOrigins = readAllowedOrigins();
+    // Pending or completed remoteEntry.json fetches, by URL
+    this.remoteEntries = new Map();
+  }
+
+  /**
+   * Configure the loader before the first MFE is loaded
+   * @param {Object} options - Loader options
+   * @param {string} options.manifestUrl - URL of the federation manifest
+   * @param {number} options.timeout - Default load timeout in ms (0 disables it)
+   * @param {number} options.slowThreshold - Default delay in ms before the "still loading" message
+   * @param {Function} options.renderLoading - (name) => HTMLElement rendered while an MFE loads
+   * @param {Object} options.retry - { attempts, baseDelay, maxDelay } for transient import failures
+   * @param {Object} options.circuitBreaker - { failureThreshold, cooldown } applied to each remote
+   * @param {Object} options.keepAlive - { enabled, mode: 'detach'|'hide', max, memoryBudgetMB }
+   * @param {string} options.isolation - Default style isolation: 'none' or 'shadow'
+   * @param {Object<string, string>} options.remoteOverrides - Remote name -> URL used instead of the manifest's
+   * @param {boolean} options.trustLocalOverrides - Let overrides load from loopback URLs outside the
+   *   allowlist and skip integrity checks; the devtools set it in dev builds only
+   * @param {string} options.sharedPolicy - Default shared dependency conflict policy: 'warn', 'refuse' or 'own-copy'
+   * @param {Array<string>} options.reservedRoutes - Shell routes remotes may not claim, e.g. the login page
+   * @param {Object} options.health - { timeout } for origin health probes
+   * @param {Array<string>|string|null} options.allowedOrigins - Origins remotes may be loaded from; null allows all
+   */
+  configure(options = {}) {
+    if (options.allowedOrigins !== undefined) {
+      if (this.manifest || this.manifestPromise) {
+        console.warn('The federation manifest is already loaded; the origin allowlist applies after a reload');
+      }
+      const origins = typeof options.allowedOrigins === 'string'
+        ? parseOriginList(options.allowedOrigins)
+        : options.allowedOrigins;
+      this.allowedOrigins = origins && origins.length > 0 ? [...origins] : null;
+    }
+
+    if (options.reservedRoutes) {
+      if (this.manifest || this.manifestPromise) {
+        console.warn('The federation manifest is already loaded; reserved routes apply after a reload');
+      }
+      this.reservedRoutes = [...options.reservedRoutes];
+    }
+
+    if (options.health) {
+      this.healthOptions = { ...this.healthOptions, ...options.health };
+    }
+
+    if (options.sharedPolicy !== undefined) {
+      this.sharedPolicy = options.sharedPolicy;
+    }
+
+    if (options.isolation !== undefined) {
+      this.isolation = options.isolation;
+    }
+
+    if (options.keepAlive) {
+      this.keepAliveOptions = { ...this.keepAliveOptions, ...options.keepAlive };
+      this._enforceKeepAliveLimits();
+    }
+
+    if (options.retry) {
+      this.retryOptions = { ...this.retryOptions, ...options.retry };
+    }
+    if (options.circuitBreaker) {
+      this.circuitOptions = { ...this.circuitOptions, ...options.circuitBreaker };
+      this.circuits.clear();
+    }
+
+    if (options.timeout !== undefined) {
+      this.loadTimeout = options.timeout;
+    }
+    if (options.slowThreshold !== undefined) {
+      this.slowThreshold = options.slowThreshold;
+    }
+    if (options.renderLoading) {
+      this.renderLoading = options.renderLoading;
+    }
+
+    if (options.remoteOverrides) {
+      if (this.manifest || this.manifestPromise) {
+        console.warn('The federation manifest is already loaded; remote overrides apply after a reload');
+      }
+      this.remoteOverrides = { ...options.remoteOverrides };
+    }
+    if (options.trustLocalOverrides !== undefined) {
+      this.trustLocalOverrides = Boolean(options.trustLocalOverrides);
+    }
+
+    if (options.manifestUrl) {
+      if (this.federationInitialized) {
+        console.warn('Federation is already initialized; the new manifest URL will not be used');
+      }
+      this.manifestUrl = options.manifestUrl;
+      this.manifest = null;
+      this.manifestPromise = null;
+    }
+  }
+
+  /**
+   * Fetch and validate the federation manifest
+   * The result is cached; a failed fetch is retried on the next call.
+   * @returns {Promise<Object>} The parsed manifest ({ source, remotes, errors })
+   */
+  async loadManifest() {
+    if (this.manifest) {
+      return this.manifest;
+    }
+
+    if (!this.manifestPromise) {
+      console.log(`Loading federation manifest from ${this.manifestUrl}`);
+
+      this.manifestPromise = fetchManifest(this.manifestUrl, { reservedRoutes: this.reservedRoutes })
+        .then(fetched => {
+          const { manifest: overridden, errors: overrideErrors } = applyRemoteOverrides(fetched, this.remoteOverrides);
+          overrideErrors.forEach(({ name, message }) => {
+            console.warn(`Ignoring URL override for remote "${name}": ${message}`);
+          });
+          Object.values(overridden.remotes)
+            .filter(remote => remote.overriddenFrom)
+            .forEach(({ name, remoteEntry, url }) => {
+              console.warn(`Remote "${name}" is overridden to load from ${remoteEntry || url}`);
+            });
+
+          if (!this.allowedOrigins && import.meta.env?.PROD) {
+            console.warn('No remote origin allowlist is configured (VITE_REMOTE_ORIGINS); remotes may load from any origin');
+          }
+          const { manifest, dropped } = applyOriginAllowlist(overridden, this.allowedOrigins, {
+            allowLoopbackOverrides: this.trustLocalOverrides
+          });
+          dropped.forEach(({ name, urls }) => {
+            console.warn(`Ignoring origins of remote "${name}" that are not allowed: ${urls.join(', ')}`);
+          });
+          Object.values(manifest.remotes)
+            .filter(remote => remote.blocked)
+            .forEach(({ name, blocked }) => {
+              console.error(`Remote "${name}" is blocked: ${blocked}`);
+            });
+
+          manifest.errors.forEach(({ name, message }) => {
+            console.error(`Invalid federation manifest entry "${name}" in ${manifest.source}: ${message}`);
+          });
+
+          if (Object.keys(manifest.remotes).length === 0) {
+            console.warn(`Federation manifest ${manifest.source} does not declare any valid remotes`);
+          }
+
+          this.manifest = manifest;
+          return manifest;
+        })
+        .catch(error => {
+          this.manifestPromise = null;
+          throw error;
+        });
+    }
+
+    return this.manifestPromise;
   }
 
   /**
    * Load and mount a microfrontend
+   * A loading indicator is shown in the container during import and mount.
    * @param {string} name - The name of the MFE (must match remote config)
    * @param {string|HTMLElement} containerSelector - Container element or selector
    * @param {Object} options - Additional options for the MFE
+   * @param {Object} loadOptions - Options for the load itself
+   * @param {AbortSignal} loadOptions.signal - Aborts the load; an aborted load never mounts
+   * @param {number} loadOptions.timeout - Overrides the manifest and default timeout in ms
+   * @param {string} loadOptions.exposedModule - Module to mount instead of the manifest's exposedModule
+   * @param {string} loadOptions.instanceId - Key the instance is tracked under (defaults to name)
+   * @param {string} loadOptions.slot - Layout slot the instance belongs to
+   * @param {string} loadOptions.isolation - Overrides the manifest and default style isolation
    * @returns {Promise<Object>} Object containing unmount function and metadata
    */
-  async loadMFE(name, containerSelector, options = {}) {
+  async loadMFE(name, containerSelector, options = {}, loadOptions = {}) {
+    const {
+      signal: callerSignal,
+      exposedModule = null,
+      instanceId = name,
+      slot = null
+    } = loadOptions;
+
+    // Combine the caller's signal with our own timeout
+    const controller = new AbortController();
+    const { signal } = controller;
+    const forwardAbort = () => controller.abort(callerSignal.reason);
+    if (callerSignal?.aborted) {
+      forwardAbort();
+    } else {
+      callerSignal?.addEventListener('abort', forwardAbort, { once: true });
+    }
+
+    const timers = [];
+    let loadingIndicator = null;
+    let connections = null;
+    let loadTimer = null;
+
     try {
       console.log(`Loading MFE: ${name}`);
+      this._throwIfAborted(signal);
 
       // Get or create container element
       const container = this._getOrCreateContainer(containerSelector);
@@ -39,92 +311,474 @@ class MFELoader {
       }
 
       // Check if MFE is already loaded
-      if (this.loadedMFEs.has(name)) {
-        console.warn(`MFE "${name}" is already loaded. Unloading first.`);
-        await this.unloadMFE(name);
+      if (this.loadedMFEs.has(instanceId)) {
+        console.warn(`MFE "${instanceId}" is already loaded. Unloading first.`);
+        await this.unloadMFE(instanceId);
+      }
+
+      // A kept-alive instance is reattached instead of being loaded again
+      if (this.keptAlive.has(instanceId)) {
+        return await this._reactivate(instanceId, container, options);
+      }
+
+      loadingIndicator = this._showLoading(container, name);
+      loadTimer = new LoadTimer(name, instanceId);
+
+      // Start the slow-load and timeout timers
+      const { timeout, slowThreshold, keepAlive, isolation } = this.manifest
+        ? await this._resolveRemoteSettings(name, loadOptions)
+        : await loadTimer.measure('manifest', () => this._resolveRemoteSettings(name, loadOptions));
+      if (slowThreshold > 0 && loadingIndicator) {
+        timers.push(setTimeout(() => {
+          markLoadingSlow(loadingIndicator, `Still loading ${name}, this is taking longer than usual...`);
+        }, slowThreshold));
+      }
+      if (timeout > 0) {
+        timers.push(setTimeout(() => {
+          controller.abort(new DOMException(
+            `Loading "${name}" timed out after ${Math.round(timeout / 1000)}s`,
+            'TimeoutError'
+          ));
+        }, timeout));
       }
 
       // Import the remote module using Native Federation
-      const remoteModule = await this._importRemoteModule(name);
+      // The import itself cannot be cancelled, but its result is dropped once aborted
+      const remoteModule = await this._importThroughCircuit(name, signal, exposedModule, loadTimer);
+      const moduleName = exposedModule || this.getRemoteConfig(name)?.exposedModule || null;
 
-      // Bootstrap the MFE
-      const mfeInstance = await this._bootstrapMFE(remoteModule, container, options);
+      // Bootstrap the MFE; if aborted meanwhile, tear it down once the late mount completes
+      this._throwIfAborted(signal);
+      // Kept-alive and isolated MFEs get their own host element so they can be detached later
+      const isolated = isolation === ISOLATION_SHADOW;
+      const host = keepAlive || isolated ? this._createHost(container, instanceId) : null;
+      const shadow = isolated ? createShadowMount(host, this.getRemoteConfig(name)?.styles) : null;
+      // Bus and store clients are scoped to the remote and released with the instance
+      const mfeConnections = this._connect(name, instanceId);
+      connections = mfeConnections;
+      if (shadow) {
+        // Released with the connections, so capture lasts as long as the instance
+        mfeConnections.releaseStyles = captureHeadStyles(shadow.shadowRoot, {
+          name,
+          baseUrl: this._remoteBaseUrl(name)
+        });
+      }
+      const styleRoot = shadow ? shadow.shadowRoot : document.head;
+      const mount = () => loadTimer.measure('mount', () => this._bootstrapMFE(remoteModule, shadow?.mountPoint || host || container, {
+        ...options,
+        bus: mfeConnections.bus,
+        store: mfeConnections.store,
+        styleRoot
+      }, moduleName ? `${name} (${moduleName})` : name));
+      const mountPromise = mount();
+      const mfeInstance = await this._abortable(mountPromise, signal).catch(error => {
+        if (signal.aborted) {
+          mountPromise
+            .then(instance => this._destroyInstance(instance))
+            .catch(() => {})
+            .finally(() => this._disconnect(mfeConnections));
+        }
+        throw error;
+      });
+
+      // The navigation may have been superseded as the mount resolved
+      if (signal.aborted) {
+        console.log(`Load of MFE "${name}" was aborted during mount, unmounting`);
+        await this._destroyInstance(mfeInstance);
+        this._throwIfAborted(signal);
+      }
 
       // Store MFE metadata
       const mfeMetadata = {
+        id: instanceId,
         name,
+        slot,
+        exposedModule: moduleName,
         container,
+        host,
+        keepAlive,
+        isolation,
+        styleRoot,
         instance: mfeInstance,
+        connections,
         loadedAt: new Date(),
+        metrics: loadMetrics.publish(loadTimer.finish('loaded'), this.getRemoteConfig(name)?.budgets),
         options
       };
 
-      this.loadedMFEs.set(name, mfeMetadata);
-      this.currentMFE = name;
+      this.loadedMFEs.set(instanceId, mfeMetadata);
+      this._trackInstance(mfeMetadata);
+      connections = null;
 
-      console.log(`MFE "${name}" loaded successfully`);
+      console.log(`MFE "${instanceId}" loaded successfully`);
 
       return {
-        unmount: () => this.unloadMFE(name),
+        unmount: () => this.unloadMFE(instanceId),
         metadata: mfeMetadata
       };
 
     } catch (error) {
-      console.error(`Failed to load MFE "${name}":`, error);
+      // Drop whatever the MFE subscribed to before the load failed
+      this._disconnect(connections);
+      if (loadTimer) {
+        loadMetrics.publish(loadTimer.finish(callerSignal?.aborted ? 'aborted' : 'failed'));
+      }
+
+      // An aborted load is not a failure: leave the container to whoever superseded it
+      if (callerSignal?.aborted) {
+        console.log(`Load of MFE "${name}" was aborted`);
+        throw callerSignal.reason ?? error;
+      }
+
+      // A timeout surfaces as its abort reason
+      const failure = signal.aborted && signal.reason ? signal.reason : error;
+      console.error(`Failed to load MFE "${name}":`, failure);
+      errorReporter.report(failure, { source: 'mfe-load', mfe: name, extra: { instanceId, slot } });
       
-      // Display error in container if available
-      this._displayError(containerSelector, name, error);
+      // Display error in container if available; retry with the same options
+      this._displayError(containerSelector, name, failure, () => {
+        this._getCircuit(name).forceHalfOpen();
+        return this.loadMFE(name, containerSelector, options, loadOptions);
+      });
       
       // Re-throw to allow caller to handle
-      throw new Error(`MFE load failed: ${name} - ${error.message}`);
+      throw new Error(`MFE load failed: ${name} - ${failure.message}`);
+    } finally {
+      timers.forEach(timer => clearTimeout(timer));
+      callerSignal?.removeEventListener('abort', forwardAbort);
+      loadingIndicator?.remove();
+    }
+  }
+
+  /**
+   * Warm a remote without mounting it
+   * Fetches remoteEntry.json, shared dependencies and the exposed module so
+   * the next loadMFE only has to mount. Skipped on save-data or 2g connections
+   * and while the remote's circuit is not closed. Failures are only logged.
+   * @param {string} name - The remote name
+   * @returns {Promise<boolean>} True if the remote is ready to mount
+   */
+  async prefetch(name) {
+    if (this.loadedMFEs.has(name)) {
+      return true;
+    }
+
+    if (!this._shouldPrefetch()) {
+      console.log(`Skipping prefetch of "${name}" on a constrained connection`);
+      return false;
+    }
+
+    if (this._getCircuit(name).state !== CIRCUIT_CLOSED) {
+      return false;
+    }
+
+    try {
+      await this._importRemoteModuleOnce(name);
+      return true;
+    } catch (error) {
+      console.warn(`Prefetch of remote "${name}" failed:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Prefetch remotes one at a time while the browser is idle
+   * @param {Array<string>} names - The remote names
+   */
+  prefetchWhenIdle(names) {
+    const queue = [...names];
+    const schedule = typeof window.requestIdleCallback === 'function'
+      ? callback => window.requestIdleCallback(callback, { timeout: 10000 })
+      : callback => setTimeout(callback, 2000);
+
+    const next = () => {
+      const name = queue.shift();
+      if (name) {
+        this.prefetch(name).finally(() => schedule(next));
+      }
+    };
+
+    if (queue.length > 0) {
+      schedule(next);
+    }
+  }
+
+  /**
+   * Prefetch, when idle, every remote flagged with "prefetch": true in the manifest
+   * @returns {Promise<void>}
+   */
+  async prefetchFromManifest() {
+    try {
+      const manifest = await this.loadManifest();
+      const names = Object.values(manifest.remotes)
+        .filter(entry => entry.prefetch)
+        .map(entry => entry.name);
+      this.prefetchWhenIdle(names);
+    } catch (error) {
+      console.warn('Skipping manifest prefetch:', error);
     }
   }
 
   /**
    * Unload and cleanup a microfrontend
+   * MFEs with keep-alive are deactivated and cached instead of destroyed.
    * @param {string} name - The name of the MFE to unload
+   * @param {Object} options - Unload options
+   * @param {boolean} options.force - Destroy the MFE even if keep-alive applies, including a cached one
    * @returns {Promise<boolean>} True if successfully unloaded
    */
-  async unloadMFE(name) {
+  async unloadMFE(name, options = {}) {
+    const { force = false } = options;
+
+    if (force && this.keptAlive.has(name)) {
+      await this._evict(name);
+      return true;
+    }
+
     if (!this.loadedMFEs.has(name)) {
       console.warn(`MFE "${name}" is not loaded`);
       return false;
     }
 
+    const mfeMetadata = this.loadedMFEs.get(name);
+
+    if (mfeMetadata.keepAlive && !force) {
+      await this._deactivate(mfeMetadata);
+      return true;
+    }
+
     try {
       console.log(`Unloading MFE: ${name}`);
 
-      const mfeMetadata = this.loadedMFEs.get(name);
-
       // Call the MFE's cleanup/destroy method if it exists
-      if (mfeMetadata.instance && typeof mfeMetadata.instance.unmount === 'function') {
-        await mfeMetadata.instance.unmount();
-      } else if (mfeMetadata.instance && typeof mfeMetadata.instance.destroy === 'function') {
-        await mfeMetadata.instance.destroy();
-      }
+      await this._destroyInstance(mfeMetadata.instance);
+      this._disconnect(mfeMetadata.connections);
 
       // Remove container element from DOM
       if (mfeMetadata.container && mfeMetadata.container.parentNode) {
         mfeMetadata.container.innerHTML = '';
       }
 
-      // Remove from loaded MFEs map
+      // Remove from loaded MFEs map and free its slot
       this.loadedMFEs.delete(name);
-
-      // Update current MFE
-      if (this.currentMFE === name) {
-        this.currentMFE = null;
-      }
+      this._untrackInstance(name);
 
       console.log(`MFE "${name}" unloaded successfully`);
       return true;
 
     } catch (error) {
       console.error(`Error unloading MFE "${name}":`, error);
-      // Still remove from map even if cleanup failed
+      // Still remove from map and release its subscriptions even if cleanup failed
+      this._disconnect(mfeMetadata.connections);
       this.loadedMFEs.delete(name);
+      this._untrackInstance(name);
+      return false;
+    }
+  }
+
+  /**
+   * Mount remote modules into named layout slots
+   * Slots whose remote, module and container are unchanged keep their
+   * instance and receive the new options through update() if it has one;
+   * the others are unloaded and the new content is loaded in parallel.
+   * Slots missing from the layout are emptied. The main slot's instance is
+   * tracked under the remote name, other slots under "remote@slot".
+   * Calls run one after another, so a layout never compares against slots an
+   * earlier, still running call is about to empty.
+   * @param {Object<string, Object>} layout - Slot name -> { remote, module, container, options, remount }
+   *   where options are the mount options and remount: true replaces an unchanged instance that cannot be updated
+   * @param {Object} loadOptions - Options for loadMFE, e.g. { signal }, applied to every slot
+   * @returns {Promise<Object<string, string>>} Slot name -> 'unchanged' | 'updated' | 'loaded' | 'failed' | 'emptied'
+   */
+  applyLayout(layout = {}, loadOptions = {}) {
+    const run = this.layoutQueue.then(() => this._applyLayoutNow(layout, loadOptions));
+    this.layoutQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Apply a layout once the previous applyLayout call has finished
+   * @private
+   * @param {Object<string, Object>} layout - As for applyLayout()
+   * @param {Object} loadOptions - As for applyLayout()
+   * @returns {Promise<Object<string, string>>} As for applyLayout()
+   */
+  async _applyLayoutNow(layout, loadOptions) {
+    // The navigation may have been superseded while waiting for its turn
+    this._throwIfAborted(loadOptions.signal);
+
+    const slots = new Set([...this.slotInstances.keys(), ...Object.keys(layout)]);
+    const results = {};
+    const loads = [];
+
+    for (const slot of slots) {
+      const assignment = layout[slot] || null;
+      const currentId = this.slotInstances.get(slot);
+      const current = currentId ? this.loadedMFEs.get(currentId) : null;
+
+      if (current && assignment && this._sameSlotContent(current, assignment)) {
+        // Same content: hand it the new context instead of remounting, where supported
+        if (assignment.options && await this.updateMFE(currentId, assignment.options)) {
+          results[slot] = 'updated';
+          continue;
+        }
+        if (!assignment.remount) {
+          results[slot] = 'unchanged';
+          continue;
+        }
+      }
+
+      if (currentId) {
+        await this.unloadMFE(currentId);
+      }
+
+      if (!assignment) {
+        results[slot] = 'emptied';
+        continue;
+      }
+
+      const { remote, module = null, container, options = { slot } } = assignment;
+      const instanceId = slot === 'main' ? remote : `${remote}@${slot}`;
+
+      // Drop leftovers such as an earlier error fallback, but not kept-alive hosts
+      const element = typeof container === 'string' ? document.querySelector(container) : container;
+      element?.querySelectorAll(':scope > :not(.mfe-host)').forEach(child => child.remove());
+      loads.push(
+        this.loadMFE(remote, container, options, { ...loadOptions, exposedModule: module, instanceId, slot })
+          .then(() => { results[slot] = 'loaded'; })
+          .catch(error => {
+            results[slot] = 'failed';
+            throw error;
+          })
+      );
+    }
+
+    // One failing slot must not keep the others from mounting
+    const settled = await Promise.allSettled(loads);
+    this._throwIfAborted(loadOptions.signal);
+    settled
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error('Layout slot failed to load:', result.reason));
+
+    return results;
+  }
+
+  /**
+   * Pass new options, e.g. changed route params or context, to a mounted MFE
+   * Calls the instance's update() hook; the MFE is not remounted.
+   * @param {string} name - The MFE instance id
+   * @param {Object} options - The new mount context
+   * @returns {Promise<boolean>} True if the MFE was updated, false if it has no update() or it failed
+   */
+  async updateMFE(name, options) {
+    const mfeMetadata = this.loadedMFEs.get(name);
+    if (typeof mfeMetadata?.instance?.update !== 'function') {
       return false;
     }
+
+    try {
+      const { bus, store } = mfeMetadata.connections || {};
+      await mfeMetadata.instance.update({ ...options, bus, store, styleRoot: mfeMetadata.styleRoot });
+      mfeMetadata.options = options;
+      mfeMetadata.updatedAt = new Date();
+      console.log(`MFE "${name}" updated`);
+      return true;
+    } catch (error) {
+      console.error(`Error updating MFE "${name}":`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Ask a mounted MFE for its status through its optional getStatus() hook
+   * @param {string} name - The MFE instance id
+   * @returns {Promise<*>} The reported status, or null if not loaded or not reported
+   */
+  async getMFEStatus(name) {
+    const instance = this.loadedMFEs.get(name)?.instance;
+    if (typeof instance?.getStatus !== 'function') {
+      return null;
+    }
+
+    try {
+      return (await instance.getStatus()) ?? null;
+    } catch (error) {
+      console.error(`Error reading status of MFE "${name}":`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the instance mounted in each layout slot
+   * @returns {Object<string, string>} Slot name -> MFE instance id
+   */
+  getSlotInstances() {
+    return Object.fromEntries(this.slotInstances);
+  }
+
+  /**
+   * Get the names of deactivated MFEs kept alive, least recently used first
+   * @returns {Array<string>} Kept-alive MFE names
+   */
+  getKeptAliveMFEs() {
+    return Array.from(this.keptAlive.keys());
+  }
+
+  /**
+   * Ask a mounted MFE whether it may be unloaded
+   * The MFE instance returned by mount() can expose either:
+   * - canUnmount(): boolean | Promise<boolean>, where the MFE asks the user itself
+   * - hasUnsavedChanges(): boolean | Promise<boolean>, where the shell asks for confirmation
+   * @param {string} name - The name of the MFE
+   * @returns {Promise<boolean>} True if the MFE is not loaded or agrees to be unloaded
+   */
+  async canUnload(name) {
+    const mfeMetadata = this.loadedMFEs.get(name);
+    const instance = mfeMetadata?.instance;
+    if (!instance) {
+      return true;
+    }
+
+    try {
+      if (typeof instance.canUnmount === 'function') {
+        return (await instance.canUnmount()) !== false;
+      }
+
+      if (typeof instance.hasUnsavedChanges === 'function' && await instance.hasUnsavedChanges()) {
+        return window.confirm(`"${name}" has unsaved changes. Leave anyway?`);
+      }
+    } catch (error) {
+      // A broken check must not trap the user on the page
+      console.error(`Unload check for MFE "${name}" failed:`, error);
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the circuit breaker state of a remote
+   * @param {string} name - The remote name
+   * @returns {Object} { state: 'closed'|'open'|'half-open', failures, openedAt, retryAt }
+   */
+  getCircuitState(name) {
+    return this._getCircuit(name).getStatus();
+  }
+
+  /**
+   * Close a remote's circuit and forget its failures
+   * @param {string} name - The remote name
+   */
+  resetCircuit(name) {
+    this._getCircuit(name).reset();
+  }
+
+  /**
+   * Get the manifest entry for a remote
+   * @param {string} name - The remote name
+   * @returns {Object|null} The normalized manifest entry, or null if unknown or not loaded yet
+   */
+  getRemoteConfig(name) {
+    return this.manifest?.remotes[name] || null;
   }
 
   /**
@@ -170,15 +824,45 @@ class MFELoader {
       return this.loadRemoteModule;
     }
 
+    // Concurrent loads share one initialization; a failed one is retried
+    // on the next call instead of being cached
+    if (!this.federationPromise) {
+      this.federationPromise = this._runFederationInit().catch(error => {
+        this.federationPromise = null;
+        throw error;
+      });
+    }
+
+    return this.federationPromise;
+  }
+
+  /**
+   * Perform the federation initialization
+   * @private
+   * @returns {Promise<Function>} The loadRemoteModule function
+   */
+  async _runFederationInit() {
     try {
+      const manifest = await this.loadManifest();
+      await this._selectOrigins(manifest);
+      // Remotes failing their integrity check are blocked here, so they are
+      // left out of the federation manifest below
+      const { entries, integrity } = await this._verifyRemoteEntries(manifest);
+      const { scopes, refused } = this._planSharedDependencies(manifest, entries);
+      const remotes = toFederationManifest(manifest);
+      refused.forEach(name => delete remotes[name]);
+
       console.log('Initializing vanilla-native-federation...');
-      
-      // Initialize with the manifest
-      // Maps remote names to their remoteEntry.json URLs
-      const { loadRemoteModule } = await initFederation({
-        'mfe1': 'http://localhost:4201/remoteEntry.json'
-      });
-      
+
+      // Initialize with the validated manifest
+      // Maps remote names to their remoteEntry.json URLs. The federation builds its
+      // import map from the verified copies and stages it for the loader to install.
+      const { loadRemoteModule } = await this._serveRemoteEntries(entries, () =>
+        initFederation(remotes, { importMapType: STAGED_IMPORT_MAP_TYPE })
+      );
+      // Own copies take precedence over the federation's scopes for the same packages
+      installImportMap(mergeImportMaps({ integrity, scopes }, takeStagedImportMap()));
+
       this.loadRemoteModule = loadRemoteModule;
       this.federationInitialized = true;
       
@@ -191,70 +875,795 @@ class MFELoader {
   }
 
   /**
-   * Load a remote MFE using vanilla-native-federation
+   * Point each remote with several origins at the first healthy one, before federation is initialized
+   * A remote without a healthy origin keeps its primary, so its load fails with the usual error.
+   * @private
+   * @param {Object} manifest - The parsed manifest
+   * @returns {Promise<void>}
+   */
+  async _selectOrigins(manifest) {
+    const remotes = Object.values(manifest.remotes)
+      .filter(remote => remote.strategy !== STRATEGY_IFRAME && !remote.blocked && remote.origins.length > 1);
+
+    await Promise.all(remotes.map(async remote => {
+      const { url, probes } = await selectOrigin(remote.name, remote.origins, this.healthOptions);
+      if (!url) {
+        console.error(`No healthy origin for remote "${remote.name}":`, probes.map(probe => `${probe.url} (${probe.error})`));
+        return;
+      }
+      if (url !== remote.remoteEntry) {
+        console.warn(`Remote "${remote.name}" fails over to ${url}`, probes.filter(probe => !probe.healthy));
+      }
+      remote.remoteEntry = url;
+    }));
+  }
+
+  /**
+   * Import a remote through its circuit breaker
    * @private
    * @param {string} name - The remote name
+   * @param {AbortSignal} signal - Aborts the import and any pending retry
+   * @param {string} [exposedModule] - Module to import instead of the manifest's exposedModule
+   * @param {LoadTimer} [timer] - Records the import phases of a load
    * @returns {Promise<Object>} The loaded module
    */
-  async _importRemoteModule(name) {
+  async _importThroughCircuit(name, signal, exposedModule = null, timer = null) {
+    const circuit = this._getCircuit(name);
+
+    if (!circuit.tryAcquire()) {
+      const { retryAt } = circuit.getStatus();
+      const error = new Error(
+        `Remote "${name}" is temporarily unavailable after repeated failures; ` +
+        `loading resumes after ${retryAt.toLocaleTimeString()}`
+      );
+      error.name = 'CircuitOpenError';
+      error.permanent = true;
+      throw error;
+    }
+
     try {
-      console.log(`Loading remote module "${name}" via vanilla-native-federation...`);
-      
-      // Initialize federation if not already done
-      const loadRemoteModule = await this._initFederation();
-      
-      // Load the bootstrap module from the remote
-      // vanilla-native-federation handles:
-      // - Fetching remoteEntry.json
-      // - Resolving shared dependencies
-      // - Loading the requested module
-      console.log(`Loading module: ${name}/./bootstrap`);
-      const module = await loadRemoteModule(name, './bootstrap');
-      
-      console.log(`Successfully loaded module from ${name}`, module);
-      
+      const module = await this._abortable(this._importRemoteModule(name, signal, exposedModule, timer), signal);
+      circuit.recordSuccess();
       return module;
     } catch (error) {
-      console.error(`Failed to load remote module "${name}":`, error);
-      throw new Error(`Failed to import remote module "${name}": ${error.message}`);
+      // Superseded loads and configuration errors say nothing about the remote's health
+      const timedOut = signal.reason?.name === 'TimeoutError';
+      if ((signal.aborted && !timedOut) || error.permanent) {
+        circuit.releaseTrial();
+      } else {
+        circuit.recordFailure();
+        console.warn(`Circuit for remote "${name}" is ${circuit.state} after ${circuit.failures} failure(s)`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load a remote MFE using vanilla-native-federation
+   * Transient failures are retried with exponential backoff.
+   * @private
+   * @param {string} name - The remote name
+   * @param {AbortSignal} [signal] - Stops further retries once aborted
+   * @param {string} [exposedModule] - Module to import instead of the manifest's exposedModule
+   * @param {LoadTimer} [timer] - Records the import phases of a load
+   * @returns {Promise<Object>} The loaded module
+   */
+  async _importRemoteModule(name, signal, exposedModule = null, timer = null) {
+    const { attempts, baseDelay, maxDelay } = this.retryOptions;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._importRemoteModuleOnce(name, exposedModule, timer);
+      } catch (error) {
+        const retryable = !error.permanent && !(error instanceof SyntaxError);
+        if (!retryable || attempt >= attempts || signal?.aborted) {
+          console.error(`Failed to load remote module "${name}":`, error);
+          const wrapped = new Error(`Failed to import remote module "${name}": ${error.message}`, { cause: error });
+          wrapped.permanent = Boolean(error.permanent);
+          throw wrapped;
+        }
+
+        // Exponential backoff with jitter so several tabs don't retry in lockstep
+        const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1)) * (0.5 + Math.random() / 2);
+        console.warn(`Loading remote module "${name}" failed (attempt ${attempt}/${attempts}), retrying in ${Math.round(delay)}ms`);
+        await this._sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Single attempt at loading a remote module
+   * Reuses the federation once it has been initialized successfully.
+   * Iframe remotes resolve to a module that frames them instead.
+   * @private
+   * @param {string} name - The remote name
+   * @param {string} [exposedModule] - Module to import instead of the manifest's exposedModule
+   * @param {LoadTimer} [timer] - Records the import phases of a load
+   * @returns {Promise<Object>} The loaded module
+   */
+  async _importRemoteModuleOnce(name, exposedModule = null, timer = null) {
+    const manifest = await this.loadManifest();
+
+    // Fail early with a clear message if the manifest does not know this remote
+    const remoteConfig = manifest.remotes[name];
+    if (!remoteConfig) {
+      const error = new Error(describeMissingRemote(manifest, name));
+      error.permanent = true;
+      throw error;
+    }
+
+    // Never fetch, frame or run code from an origin outside the allowlist
+    if (remoteConfig.blocked) {
+      throw createSecurityError(name, remoteConfig.blocked);
+    }
+
+    if (remoteConfig.strategy === STRATEGY_IFRAME) {
+      return createIframeModule(remoteConfig);
+    }
+
+    console.log(`Loading remote module "${name}" via vanilla-native-federation...`);
+    
+    // Initialize federation if not already done; Resource Timing tells how much
+    // of it was spent fetching this remote's remoteEntry.json
+    const initializing = !this.federationInitialized && timer;
+    const loadRemoteModule = initializing
+      ? await timer.measure('sharedDependencies', () => this._initFederation())
+      : await this._initFederation();
+    if (initializing) {
+      timer.split('sharedDependencies', 'remoteEntry', resourceDuration(remoteConfig.remoteEntry));
+    }
+    // Initialization blocks remotes failing their integrity check and leaves
+    // remotes refused because of shared dependency conflicts out of the federation
+    if (remoteConfig.blocked) {
+      throw createSecurityError(name, remoteConfig.blocked);
+    }
+    if (this.sharedRefusals.has(name)) {
+      throw this.sharedRefusals.get(name);
     }
+    
+    // Load the requested module, or the one declared in the manifest (./bootstrap by default)
+    // vanilla-native-federation handles:
+    // - Fetching remoteEntry.json
+    // - Resolving shared dependencies
+    // - Loading the requested module
+    // A prefetch or an earlier load may already have imported it
+    const moduleName = exposedModule || remoteConfig.exposedModule;
+    const key = `${name}/${moduleName}`;
+    if (!this.modulePromises.has(key)) {
+      console.log(`Loading module: ${key}`);
+      this.modulePromises.set(key, loadRemoteModule(name, moduleName).catch(error => {
+        this.modulePromises.delete(key);
+        throw error;
+      }));
+    }
+
+    const module = timer
+      ? await timer.measure('import', () => this.modulePromises.get(key))
+      : await this.modulePromises.get(key);
+    
+    console.log(`Successfully loaded module ${key}`, module);
+    
+    return module;
+  }
+
+  /**
+   * Probe every origin of every remote, e.g. for a status page
+   * Does not change the origins in use: federation is initialized once per page.
+   * @param {Array<string>} [names] - Remotes to check, all by default
+   * Remotes blocked by the origin allowlist are reported without being probed.
+   * @returns {Promise<Object>} { checkedAt, healthy, remotes: { name: { healthy, active, origins, circuit, blocked } } }
+   */
+  async checkHealth(names = null) {
+    const manifest = await this.loadManifest();
+    const remotes = Object.values(manifest.remotes).filter(remote => !names || names.includes(remote.name));
+
+    const results = await Promise.all(remotes.map(async remote => {
+      const iframe = remote.strategy === STRATEGY_IFRAME;
+      const origins = remote.blocked ? [] : await Promise.all((iframe ? [remote.url] : remote.origins).map(url =>
+        probeOrigin(url, { ...this.healthOptions, expectJson: !iframe })
+      ));
+      const active = iframe ? remote.url : remote.remoteEntry;
+      return [remote.name, {
+        healthy: origins.some(origin => origin.url === active && origin.healthy),
+        active,
+        origins,
+        circuit: this.getCircuitState(remote.name).state,
+        blocked: remote.blocked
+      }];
+    }));
+
+    return {
+      checkedAt: new Date(),
+      healthy: results.every(([, result]) => result.healthy),
+      remotes: Object.fromEntries(results)
+    };
+  }
+
+  /**
+   * Get the resolved shared dependency graph
+   * @returns {Object} { packages: { name: { version, providedBy, consumers } }, remotes: { name: [packages] } }
+   */
+  getDependencyGraph() {
+    return this.sharedDependencies.getGraph();
+  }
+
+  /**
+   * Settle shared dependency conflicts between remotes before federation is initialized
+   * Remotes are compared in manifest order, so the first one sharing a singleton provides
+   * it. Refused remotes are left out of the federation; own-copy remotes get import map
+   * scopes mapping the conflicting packages to their own bundles. The others are
+   * registered in the dependency graph, since the import map commits them all.
+   * @private
+   * @param {Object} manifest - The parsed manifest
+   * @param {Map<string, Object>} entries - URL -> { json } from _verifyRemoteEntries
+   * @returns {Object} { scopes: { remoteUrl: { package: url } }, refused: [remote names] }
+   */
+  _planSharedDependencies(manifest, entries) {
+    const scopes = {};
+    const refused = [];
+
+    Object.values(manifest.remotes)
+      .filter(remote => remote.strategy !== STRATEGY_IFRAME && !remote.blocked)
+      .forEach(remote => {
+        const { name } = remote;
+        const remoteEntry = entries.get(new URL(remote.remoteEntry, document.baseURI).href);
+        if (!remoteEntry) {
+          console.warn(`Could not read the shared dependencies of remote "${name}", skipping the compatibility check`);
+          return;
+        }
+
+        const shared = readSharedDependencies(remoteEntry.json);
+        const conflicts = this.sharedDependencies.check(name, shared);
+        const resolutions = {};
+        if (conflicts.length > 0) {
+          const policy = remote.sharedPolicy || this.sharedPolicy;
+          const details = conflicts.map(describeConflict).join('; ');
+
+          if (policy === SHARED_POLICY_REFUSE) {
+            const error = createSharedDependencyError(name, conflicts);
+            console.error(error.message);
+            this.sharedRefusals.set(name, error);
+            refused.push(name);
+            return;
+          }
+
+          let ownCopies = {};
+          if (policy === SHARED_POLICY_OWN_COPY) {
+            ownCopies = mapOwnCopies(remote.remoteEntry, shared, conflicts.map(conflict => conflict.packageName));
+            if (Object.keys(ownCopies).length > 0) {
+              scopes[new URL('./', remote.remoteEntry).href] = ownCopies;
+              console.warn(`Remote "${name}" gets its own copy of ${Object.keys(ownCopies).join(', ')}: ${details}`);
+            }
+          }
+          conflicts.forEach(({ packageName }) => {
+            resolutions[packageName] = ownCopies[packageName] ? RESOLUTION_OWN_COPY : RESOLUTION_MISMATCH;
+          });
+          if (Object.keys(ownCopies).length < conflicts.length) {
+            console.warn(`Remote "${name}" is loaded with mismatching shared dependencies: ${details}`);
+          }
+        }
+
+        this.sharedDependencies.register(name, shared, resolutions);
+      });
+
+    return { scopes, refused };
+  }
+
+  /**
+   * Fetch the remoteEntry.json of every federation remote and check it against its pinned hashes
+   * Runs before initFederation, which builds its import map from these same copies
+   * (see _serveRemoteEntries). A remote whose remoteEntry.json does not match, cannot
+   * be fetched for the check or lacks a pinned module is blocked. Pinned exposed
+   * modules go into the import map's integrity, so the browser refuses to run them
+   * if they do not match. Overridden remotes are not checked when local overrides
+   * are trusted (dev builds): a local build cannot match the hashes of the deployed one.
+   * @private
+   * @param {Object} manifest - The parsed manifest
+   * @returns {Promise<Object>} { entries: Map of URL -> { content, json }, integrity: { moduleUrl: hash } }
+   */
+  async _verifyRemoteEntries(manifest) {
+    const entries = new Map();
+    const integrity = {};
+    const remotes = Object.values(manifest.remotes)
+      .filter(remote => remote.strategy !== STRATEGY_IFRAME && !remote.blocked);
+
+    await Promise.all(remotes.map(async remote => {
+      const pinned = Boolean(remote.integrity) && !(remote.overriddenFrom && this.trustLocalOverrides);
+      if (remote.integrity && !pinned) {
+        console.warn(`Skipping the integrity check of overridden remote "${remote.name}"`);
+      }
+
+      let remoteEntry;
+      try {
+        remoteEntry = await this._fetchRemoteEntry(remote.remoteEntry);
+      } catch (error) {
+        // Unpinned remotes are left to the federation, which fails its load as before
+        if (pinned) {
+          this._blockRemote(remote, `${remote.remoteEntry} could not be fetched for its integrity check (${error.message})`);
+        }
+        return;
+      }
+
+      const reason = pinned ? await this._checkPinnedHashes(remote, remoteEntry, integrity) : null;
+      if (reason) {
+        this._blockRemote(remote, reason);
+        return;
+      }
+      entries.set(new URL(remote.remoteEntry, document.baseURI).href, remoteEntry);
+    }));
+
+    return { entries, integrity };
+  }
+
+  /**
+   * Check a fetched remoteEntry.json against a remote's pinned hashes
+   * Adds the import map integrity of its pinned exposed modules to integrity.
+   * @private
+   * @param {Object} remote - Normalized manifest entry with integrity
+   * @param {Object} remoteEntry - { content, json } from _fetchRemoteEntry
+   * @param {Object} integrity - Import map integrity being built, module URL -> hash
+   * @returns {Promise<string|null>} Why the remote fails the check, or null
+   */
+  async _checkPinnedHashes(remote, remoteEntry, integrity) {
+    const { remoteEntry: expected, modules } = remote.integrity;
+    if (expected && !(await verifyIntegrity(remoteEntry.content, expected))) {
+      return `${remote.remoteEntry} does not match its integrity hash`;
+    }
+
+    const exposes = remoteEntry.json?.exposes || [];
+    for (const [moduleName, hash] of Object.entries(modules)) {
+      const exposed = exposes.find(entry => entry?.key === moduleName);
+      if (!exposed?.outFileName) {
+        return `${remote.remoteEntry} does not expose ${moduleName}`;
+      }
+      integrity[new URL(exposed.outFileName, remote.remoteEntry).href] = hash;
+    }
+    return null;
+  }
+
+  /**
+   * Block a remote for the rest of the page's lifetime
+   * Loading it then fails with a RemoteSecurityError.
+   * @private
+   * @param {Object} remote - Normalized manifest entry
+   * @param {string} reason - Why the remote is blocked
+   */
+  _blockRemote(remote, reason) {
+    remote.blocked = reason;
+    console.error(`Remote "${remote.name}" is blocked: ${reason}`);
+  }
+
+  /**
+   * Run a function while fetches of the given remoteEntry.json URLs are answered from memory
+   * Lets initFederation use the copies the loader verified instead of fetching its own.
+   * @private
+   * @param {Map<string, Object>} entries - URL -> { content } from _verifyRemoteEntries
+   * @param {Function} run - Async function to run, e.g. initFederation
+   * @returns {Promise<*>} What run resolves to
+   */
+  async _serveRemoteEntries(entries, run) {
+    const originalFetch = window.fetch;
+    const servedFetch = (input, init) => {
+      const url = typeof input === 'string' ? input : input?.url;
+      const entry = url && entries.get(new URL(url, document.baseURI).href);
+      if (!entry) {
+        return originalFetch.call(window, input, init);
+      }
+      return Promise.resolve(new Response(entry.content.slice(0), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      }));
+    };
+
+    window.fetch = servedFetch;
+    try {
+      return await run();
+    } finally {
+      // Leave a fetch wrapped by someone else in the meantime alone
+      if (window.fetch === servedFetch) {
+        window.fetch = originalFetch;
+      }
+    }
+  }
+
+  /**
+   * Fetch a remoteEntry.json once for the integrity and shared dependency checks and the federation
+   * A failed fetch is retried on the next call.
+   * @private
+   * @param {string} url - The remoteEntry.json URL
+   * @returns {Promise<Object>} { content: ArrayBuffer, json }
+   */
+  async _fetchRemoteEntry(url) {
+    if (!this.remoteEntries.has(url)) {
+      this.remoteEntries.set(url, (async () => {
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`Failed to fetch ${url}: HTTP ${response.status}`);
+        }
+        const content = await response.arrayBuffer();
+        return { content, json: JSON.parse(new TextDecoder().decode(content)) };
+      })().catch(error => {
+        this.remoteEntries.delete(url);
+        throw error;
+      }));
+    }
+    return this.remoteEntries.get(url);
+  }
+
+  /**
+   * Check whether the connection allows speculative downloads
+   * @private
+   * @returns {boolean} False on save-data or 2g connections
+   */
+  _shouldPrefetch() {
+    const connection = navigator.connection;
+    if (!connection) {
+      return true;
+    }
+    return !connection.saveData && !['slow-2g', '2g'].includes(connection.effectiveType);
+  }
+
+  /**
+   * Get or create the circuit breaker of a remote
+   * @private
+   * @param {string} name - The remote name
+   * @returns {CircuitBreaker} The breaker
+   */
+  _getCircuit(name) {
+    if (!this.circuits.has(name)) {
+      this.circuits.set(name, new CircuitBreaker(this.circuitOptions));
+    }
+    return this.circuits.get(name);
+  }
+
+  /**
+   * Wait for a delay, rejecting early if the signal aborts
+   * @private
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} [signal] - The abort signal
+   * @returns {Promise<void>}
+   */
+  _sleep(ms, signal) {
+    return this._abortable(new Promise(resolve => setTimeout(resolve, ms)), signal);
   }
 
   /**
    * Bootstrap the MFE with the container
+   * Validates the module against its lifecycle version (see lifecycle.js),
+   * runs its one-time bootstrap if it has one and mounts it.
    * @private
    * @param {Object} remoteModule - The imported remote module
    * @param {HTMLElement} container - The container element
-   * @param {Object} options - Bootstrap options
+   * @param {Object} options - Mount context (see mount-context.js) plus bus and store clients
+   * @param {string} label - Remote and module name for error messages
    * @returns {Promise<Object>} The MFE instance with unmount method
    */
-  async _bootstrapMFE(remoteModule, container, options) {
-    // Look for a mount function in the module
-    const mountFn = remoteModule.mount || remoteModule.bootstrap || remoteModule.default?.mount;
+  async _bootstrapMFE(remoteModule, container, options, label) {
+    const lifecycle = resolveLifecycle(remoteModule, label);
+
+    console.log(`Mounting ${label} (lifecycle v${lifecycle.version})...`);
+    const instance = await mountLifecycle(lifecycle, container, options, label);
+    console.log('MFE mounted successfully');
+
+    return instance;
+  }
+
+  /**
+   * Render the loading indicator into a container
+   * @private
+   * @param {HTMLElement} container - The MFE container
+   * @param {string} name - The MFE name
+   * @returns {HTMLElement|null} The indicator, or null if rendering failed
+   */
+  _showLoading(container, name) {
+    try {
+      const indicator = this.renderLoading(name);
+      container.appendChild(indicator);
+      return indicator;
+    } catch (error) {
+      console.error('Failed to render loading indicator:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Work out the timeout, slow-load threshold, keep-alive and isolation for a remote
+   * Priority: loadOptions, manifest entry, loader defaults
+   * @private
+   * @param {string} name - The MFE name
+   * @param {Object} loadOptions - Options passed to loadMFE
+   * @returns {Promise<{timeout: number, slowThreshold: number, keepAlive: boolean, isolation: string}>} The settings
+   */
+  async _resolveRemoteSettings(name, loadOptions) {
+    let remoteConfig = null;
+    try {
+      await this.loadManifest();
+      remoteConfig = this.getRemoteConfig(name);
+    } catch {
+      // Manifest problems are reported when the remote is imported
+    }
 
-    if (typeof mountFn !== 'function') {
-      throw new Error('Remote module does not export a mount or bootstrap function');
+    return {
+      timeout: loadOptions.timeout ?? remoteConfig?.timeout ?? this.loadTimeout,
+      slowThreshold: remoteConfig?.slowThreshold ?? this.slowThreshold,
+      keepAlive: Boolean(this.keepAliveOptions.enabled || remoteConfig?.keepAlive),
+      isolation: loadOptions.isolation ?? remoteConfig?.isolation ?? this.isolation
+    };
+  }
+
+  /**
+   * Record which slot a loaded instance occupies
+   * Instances loaded without a slot, or into the main slot, become the current MFE.
+   * @private
+   * @param {Object} mfeMetadata - The loaded MFE's metadata
+   */
+  _trackInstance(mfeMetadata) {
+    const { id, slot } = mfeMetadata;
+    if (slot) {
+      this.slotInstances.set(slot, id);
+    }
+    if (!slot || slot === 'main') {
+      this.currentMFE = id;
     }
+  }
 
-    console.log('Calling MFE mount function...');
+  /**
+   * Forget the slot an instance occupied
+   * @private
+   * @param {string} id - The MFE instance id
+   */
+  _untrackInstance(id) {
+    for (const [slot, instanceId] of this.slotInstances) {
+      if (instanceId === id) {
+        this.slotInstances.delete(slot);
+      }
+    }
+    if (this.currentMFE === id) {
+      this.currentMFE = null;
+    }
+  }
 
-    // Call the mount function with the container
-    const result = await mountFn(container, options);
-    
-    console.log('MFE mounted successfully');
-    
-    // Validate that we got an unmount function back
-    if (!result || typeof result.unmount !== 'function') {
-      console.warn('MFE mount function did not return a valid unmount method');
-      return {
-        unmount: () => {
-          console.warn('No unmount method available, clearing container manually');
-          container.innerHTML = '';
-        }
-      };
+  /**
+   * Check whether a slot already shows the content a layout assigns to it
+   * @private
+   * @param {Object} mfeMetadata - Metadata of the instance in the slot
+   * @param {Object} assignment - The layout entry { remote, module, container }
+   * @returns {boolean} True if remote, module and container all match
+   */
+  _sameSlotContent(mfeMetadata, assignment) {
+    const module = assignment.module || this.getRemoteConfig(assignment.remote)?.exposedModule || null;
+    const container = typeof assignment.container === 'string'
+      ? document.querySelector(assignment.container)
+      : assignment.container;
+    return mfeMetadata.name === assignment.remote &&
+      mfeMetadata.exposedModule === module &&
+      mfeMetadata.container === container;
+  }
+
+  /**
+   * Create the host element a kept-alive or isolated MFE mounts into
+   * @private
+   * @param {HTMLElement} container - The MFE container
+   * @param {string} name - The MFE instance id
+   * @returns {HTMLElement} The host element
+   */
+  _createHost(container, name) {
+    const host = document.createElement('div');
+    host.className = 'mfe-host';
+    host.dataset.mfe = name;
+    container.appendChild(host);
+    return host;
+  }
+
+  /**
+   * Deactivate a mounted MFE and keep it for later reuse
+   * @private
+   * @param {Object} mfeMetadata - The loaded MFE's metadata
+   */
+  async _deactivate(mfeMetadata) {
+    const { id, name, instance, host } = mfeMetadata;
+    console.log(`Deactivating MFE "${name}" (keep-alive)`);
+
+    try {
+      if (typeof instance?.deactivate === 'function') {
+        await instance.deactivate();
+      }
+    } catch (error) {
+      console.error(`Error in deactivate hook of MFE "${name}":`, error);
+    }
+
+    if (this.keepAliveOptions.mode === 'hide') {
+      host.hidden = true;
+    } else {
+      host.remove();
+    }
+
+    this.loadedMFEs.delete(id);
+    this._untrackInstance(id);
+
+    mfeMetadata.deactivatedAt = new Date();
+    this.keptAlive.delete(id);
+    this.keptAlive.set(id, mfeMetadata);
+
+    await this._enforceKeepAliveLimits();
+  }
+
+  /**
+   * Reattach a kept-alive MFE to a container and activate it
+   * @private
+   * @param {string} name - The MFE instance id
+   * @param {HTMLElement} container - The container to show it in
+   * @param {Object} options - Options for the MFE, passed to its activate hook
+   * @returns {Promise<Object>} Object containing unmount function and metadata
+   */
+  async _reactivate(name, container, options) {
+    const mfeMetadata = this.keptAlive.get(name);
+    this.keptAlive.delete(name);
+    console.log(`Reactivating kept-alive MFE "${name}"`);
+
+    container.appendChild(mfeMetadata.host);
+    mfeMetadata.host.hidden = false;
+    mfeMetadata.container = container;
+    mfeMetadata.options = options;
+    mfeMetadata.activatedAt = new Date();
+
+    try {
+      if (typeof mfeMetadata.instance?.activate === 'function') {
+        await mfeMetadata.instance.activate(options);
+      }
+    } catch (error) {
+      console.error(`Error in activate hook of MFE "${name}":`, error);
     }
 
-    return result;
+    this.loadedMFEs.set(name, mfeMetadata);
+    this._trackInstance(mfeMetadata);
+
+    return {
+      unmount: () => this.unloadMFE(name),
+      metadata: mfeMetadata
+    };
+  }
+
+  /**
+   * Evict least recently used kept-alive MFEs past the count or memory budget
+   * @private
+   */
+  async _enforceKeepAliveLimits() {
+    const { max, memoryBudgetMB } = this.keepAliveOptions;
+
+    while (this.keptAlive.size > 0) {
+      const overCount = this.keptAlive.size > max;
+      const overMemory = memoryBudgetMB !== null && this._usedHeapMB() > memoryBudgetMB;
+      if (!overCount && !overMemory) {
+        break;
+      }
+
+      const [oldest] = this.keptAlive.keys();
+      console.log(`Evicting kept-alive MFE "${oldest}" (${overCount ? 'limit reached' : 'memory budget exceeded'})`);
+      await this._evict(oldest);
+    }
+  }
+
+  /**
+   * Destroy a kept-alive MFE
+   * @private
+   * @param {string} name - The MFE name
+   */
+  async _evict(name) {
+    const mfeMetadata = this.keptAlive.get(name);
+    this.keptAlive.delete(name);
+
+    try {
+      await this._destroyInstance(mfeMetadata.instance);
+    } catch (error) {
+      console.error(`Error destroying kept-alive MFE "${name}":`, error);
+    }
+    this._disconnect(mfeMetadata.connections);
+    mfeMetadata.host.remove();
+  }
+
+  /**
+   * Create the event bus and shared store clients handed to an MFE
+   * Each mount gets its own owner, so a late teardown never releases the
+   * subscriptions of a newer instance with the same id.
+   * @private
+   * @param {string} name - The remote name, used as namespace
+   * @param {string} instanceId - The MFE instance id
+   * @returns {Object} { bus, store }
+   */
+  _connect(name, instanceId) {
+    const owner = Symbol(instanceId);
+    return {
+      bus: eventBus.createClient(name, owner),
+      store: sharedStore.createClient(name, owner)
+    };
+  }
+
+  /**
+   * Release every subscription made through an MFE's bus and store clients
+   * Also stops moving the MFE's head stylesheets into its shadow root.
+   * @private
+   * @param {Object|null} connections - The clients created by _connect
+   */
+  _disconnect(connections) {
+    connections?.bus.dispose();
+    connections?.store.dispose();
+    connections?.releaseStyles?.();
+  }
+
+  /**
+   * Get the directory a remote is served from, used to attribute its stylesheets
+   * @private
+   * @param {string} name - The remote name
+   * @returns {string|null} The base URL, or null if unknown
+   */
+  _remoteBaseUrl(name) {
+    const remoteEntry = this.getRemoteConfig(name)?.remoteEntry;
+    return remoteEntry ? new URL('.', remoteEntry).href : null;
+  }
+
+  /**
+   * Current JS heap usage, where the browser reports it (Chromium only)
+   * @private
+   * @returns {number} Used heap in MB, or 0 if unknown
+   */
+  _usedHeapMB() {
+    const memory = performance.memory;
+    return memory ? memory.usedJSHeapSize / (1024 * 1024) : 0;
+  }
+
+  /**
+   * Call the cleanup method of a mounted MFE instance
+   * @private
+   * @param {Object} instance - The object returned by the MFE's mount function
+   */
+  async _destroyInstance(instance) {
+    if (instance && typeof instance.unmount === 'function') {
+      await instance.unmount();
+    } else if (instance && typeof instance.destroy === 'function') {
+      await instance.destroy();
+    }
+  }
+
+  /**
+   * Throw the abort reason if a signal has been aborted
+   * @private
+   * @param {AbortSignal} [signal] - The signal to check
+   */
+  _throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw signal.reason ?? new DOMException('MFE load was aborted', 'AbortError');
+    }
+  }
+
+  /**
+   * Reject as soon as a signal aborts, without waiting for the promise
+   * @private
+   * @param {Promise} promise - The work to wait for
+   * @param {AbortSignal} [signal] - The abort signal
+   * @returns {Promise} Resolves with the promise result unless aborted first
+   */
+  _abortable(promise, signal) {
+    if (!signal) {
+      return promise;
+    }
+
+    this._throwIfAborted(signal);
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason ?? new DOMException('MFE load was aborted', 'AbortError'));
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(
+        value => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(value);
+        },
+        error => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
   }
 
   /**
@@ -290,8 +1699,9 @@ class MFELoader {
    * @param {string|HTMLElement} containerSelector - Container element or selector
    * @param {string} mfeName - The name of the MFE that failed
    * @param {Error} error - The error object
+   * @param {Function} [onRetry] - Retry action, defaults to loading the MFE again
    */
-  _displayError(containerSelector, mfeName, error) {
+  _displayError(containerSelector, mfeName, error, onRetry = null) {
     try {
       const container = typeof containerSelector === 'string'
         ? document.querySelector(containerSelector)
@@ -307,7 +1717,8 @@ class MFELoader {
           error,
           () => {
             // Retry loading the MFE
-            this.loadMFE(mfeName, containerSelector).catch(err => {
+            const retry = onRetry ? onRetry() : this.loadMFE(mfeName, containerSelector);
+            retry.catch(err => {
               console.error('Retry failed:', err);
             });
           },
@@ -0,0 +1,151 @@
+/**
+ * Mount Context Module
+ * Builds the context object the shell hands to every MFE's mount(container, context)
+ *
+ * Context contract:
+ *   {
+ *     basePath,      // route the MFE is mounted under, e.g. "/mfe1"
+ *     path,          // the MFE's own sub-path below basePath, e.g. "/orders/7"
+ *     params,        // route params of the shell match
+ *     query, hash,   // parsed query string and hash (without "#")
+ *     state,         // history state passed to router.navigate
+ *     slot,          // layout slot the MFE is mounted in
+ *     locale,        // e.g. "en-US"
+ *     theme,         // "light" | "dark"
+ *     navigate,      // (to, { replace, state }) => Promise, bound to the shell router
+ *     getAuthToken,  // () => Promise<string|null>, refreshed before it expires
+ *     user           // { id, name, roles } of the signed-in user, or null
+ *   }
+ *
+ * The loader adds the event bus and shared store clients (bus, store).
+ * Locale and theme are also kept in the shared store as "shell/locale" and
+ * "shell/theme", so MFEs can watch them change after mounting; "shell/auth"
+ * does the same for the user (see auth.js).
+ */
+
+import router from './router.js';
+import sharedStore from './shared-store.js';
+
+/**
+ * Shared store keys holding the shell's locale and theme
+ */
+export const LOCALE_KEY = 'shell/locale';
+export const THEME_KEY = 'shell/theme';
+
+// Resolves the current auth token; replaced through configureMountContext
+let authTokenProvider = async () => null;
+// Resolves the signed-in user; replaced through configureMountContext
+let userProvider = () => null;
+
+/**
+ * Configure the values every mount context is built from
+ * @param {Object} options - Context options
+ * @param {string} options.locale - The locale handed to MFEs
+ * @param {string} options.theme - The theme handed to MFEs
+ * @param {Function} options.getAuthToken - () => string | null | Promise<string|null>
+ * @param {Function} options.getUser - () => { id, name, roles } | null
+ */
+export function configureMountContext(options = {}) {
+  if (options.locale !== undefined) {
+    sharedStore.set(LOCALE_KEY, options.locale);
+  }
+  if (options.theme !== undefined) {
+    sharedStore.set(THEME_KEY, options.theme);
+  }
+  if (options.getAuthToken) {
+    if (typeof options.getAuthToken !== 'function') {
+      throw new Error('getAuthToken must be a function');
+    }
+    authTokenProvider = options.getAuthToken;
+  }
+  if (options.getUser) {
+    if (typeof options.getUser !== 'function') {
+      throw new Error('getUser must be a function');
+    }
+    userProvider = options.getUser;
+  }
+}
+
+/**
+ * Build the mount context for an MFE
+ * @param {string} basePath - Route the MFE is mounted under
+ * @param {Object} match - Router match result, if the MFE is mounted for a route
+ * @param {string} slot - Layout slot the MFE is mounted in
+ * @returns {Object} The mount context
+ */
+export function createMountContext(basePath, match = null, slot = 'main') {
+  return {
+    basePath,
+    path: match ? subPath(basePath, match) : '/',
+    params: match?.params ?? {},
+    query: match?.query ?? {},
+    hash: match?.hash ?? '',
+    state: match?.state ?? null,
+    slot,
+    locale: sharedStore.get(LOCALE_KEY) ?? defaultLocale(),
+    theme: sharedStore.get(THEME_KEY) ?? defaultTheme(),
+    navigate: (to, options = {}) => router.navigate(resolvePath(basePath, to), options),
+    getAuthToken: async () => {
+      try {
+        return (await authTokenProvider()) ?? null;
+      } catch (error) {
+        console.error('Auth token provider failed:', error);
+        return null;
+      }
+    },
+    user: userProvider() ?? null
+  };
+}
+
+/**
+ * Get the part of a matched path below basePath
+ * Wildcard routes carry it as match.rest; routes declared through a remote's
+ * "paths" match the whole path, so it is cut from match.path instead.
+ * @param {string} basePath - Route the MFE is mounted under
+ * @param {Object} match - Router match result
+ * @returns {string} The sub-path, '/' for basePath itself
+ */
+function subPath(basePath, match) {
+  const base = basePath.replace(/\/+$/, '');
+  if (match.path === base) {
+    return '/';
+  }
+  if (match.path?.startsWith(`${base}/`)) {
+    return match.path.slice(base.length);
+  }
+  return match.rest ?? '/';
+}
+
+/**
+ * Resolve a navigation target: absolute paths are shell URLs, relative ones are below basePath
+ * @param {string} basePath - Route the MFE is mounted under
+ * @param {string} to - The target path
+ * @returns {string} The shell URL
+ */
+function resolvePath(basePath, to) {
+  if (typeof to !== 'string') {
+    throw new Error(`navigate() expects a path string, got ${typeof to}`);
+  }
+  if (to.startsWith('/')) {
+    return to;
+  }
+  return `${basePath.replace(/\/+$/, '')}/${to.replace(/^\.\//, '')}`;
+}
+
+/**
+ * Locale of the document, falling back to the browser's
+ * @returns {string} The locale
+ */
+function defaultLocale() {
+  return document.documentElement.lang || navigator.language || 'en';
+}
+
+/**
+ * Theme matching the user's color scheme preference
+ * @returns {string} "light" or "dark"
+ */
+function defaultTheme() {
+  return window.matchMedia?.('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+}
+
+export default { configureMountContext, createMountContext, LOCALE_KEY, THEME_KEY };
@@ -4,20 +4,39 @@
  */
 
 import router from './router.js';
+import mfeLoader from './mfe-loader.js';
+import auth, { AUTH_UNKNOWN, ACCESS_FORBIDDEN } from './auth.js';
 
 /**
- * Navigation configuration
+ * Navigation configuration for shell-owned pages
+ * Links for microfrontends come from the federation manifest
  */
 const navLinks = [
-  { path: '/', label: 'Home' },
-  { path: '/mfe1', label: 'MFE1 Dashboard' }
+  { path: '/', label: 'Home' }
 ];
 
+/**
+ * How links the user may not open are shown
+ */
+export const RESTRICTED_HIDE = 'hide';
+export const RESTRICTED_DISABLE = 'disable';
+
 /**
  * Create and return the navigation component
+ * Links with a `remote` prefetch that remote when hovered or focused.
+ * Links with `requiresAuth` or `roles` follow the user's access: they are
+ * re-rendered when it changes, and links whose roles the signed-in user
+ * lacks are hidden or disabled. Signed-out users still see them, since
+ * signing in may grant access.
+ * @param {Array<{path: string, label: string, remote?: string, requiresAuth?: boolean, roles?: Array<string>, restricted?: string}>} extraLinks - Links appended after the shell links
+ * @param {Object} options - Navigation options
+ * @param {string} options.restricted - 'hide' or 'disable' links the user may not open; a link's own `restricted` wins
  * @returns {HTMLElement} The navigation element
  */
-export function createNavigation() {
+export function createNavigation(extraLinks = [], options = {}) {
+  const { restricted = RESTRICTED_HIDE } = options;
+  const links = [...navLinks, ...extraLinks];
+
   const nav = document.createElement('nav');
   nav.id = 'navigation';
   nav.className = 'shell-navigation';
@@ -26,35 +45,116 @@ export function createNavigation() {
   const ul = document.createElement('ul');
   ul.className = 'nav-list';
 
-  // Create navigation links
-  navLinks.forEach(({ path, label }) => {
-    const li = document.createElement('li');
-    li.className = 'nav-item';
+  const renderLinks = () => {
+    const items = links
+      .map(link => ({ link, mode: auth.canAccess(link) === ACCESS_FORBIDDEN ? link.restricted || restricted : null }))
+      .filter(({ mode }) => mode !== RESTRICTED_HIDE)
+      .map(({ link, mode }) => createNavItem(link, mode === RESTRICTED_DISABLE));
+    ul.replaceChildren(...items);
+    updateActiveLink(router.getCurrentRoute() || window.location.pathname);
+  };
 
-    const a = document.createElement('a');
-    a.href = path;
-    a.textContent = label;
-    a.className = 'nav-link';
-    a.dataset.path = path;
+  nav.appendChild(ul);
+  if (auth.provider) {
+    nav.appendChild(createAuthStatus());
+  }
+
+  // Create navigation links, again whenever the user's access changes
+  renderLinks();
+  if (links.some(link => link.requiresAuth || link.roles?.length > 0)) {
+    auth.subscribe(renderLinks);
+  }
 
-    // Add click event handler for client-side navigation
-    a.addEventListener('click', (e) => {
-      e.preventDefault();
-      router.navigate(path);
-      updateActiveLink(path);
-    });
+  return nav;
+}
 
+/**
+ * Create one navigation entry
+ * @param {Object} link - { path, label, remote, roles }
+ * @param {boolean} disabled - Render the link without letting it navigate
+ * @returns {HTMLElement} The list item
+ */
+function createNavItem({ path, label, remote, roles = [] }, disabled) {
+  const li = document.createElement('li');
+  li.className = 'nav-item';
+
+  const a = document.createElement('a');
+  a.textContent = label;
+  a.className = 'nav-link';
+  a.dataset.path = path;
+
+  if (disabled) {
+    a.classList.add('nav-link-disabled');
+    a.setAttribute('aria-disabled', 'true');
+    a.title = `Requires the ${roles.length > 1 ? 'roles' : 'role'} ${roles.join(', ')}`;
     li.appendChild(a);
-    ul.appendChild(li);
+    return li;
+  }
+
+  a.href = path;
+
+  // Add click event handler for client-side navigation
+  // Guards may cancel or redirect, so highlight whatever route we ended up on
+  a.addEventListener('click', async (e) => {
+    e.preventDefault();
+    await router.navigate(path);
+    updateActiveLink(router.getCurrentRoute() || path);
   });
 
-  nav.appendChild(ul);
+  // Warm the remote while the user is about to click
+  if (remote) {
+    const prefetch = () => mfeLoader.prefetch(remote);
+    a.addEventListener('mouseenter', prefetch);
+    a.addEventListener('focus', prefetch);
+  }
 
-  // Set initial active link
-  const currentPath = window.location.pathname;
-  updateActiveLink(currentPath);
+  li.appendChild(a);
+  return li;
+}
 
-  return nav;
+/**
+ * Create the signed-in user's name and a sign-out button, or a sign-in link
+ * Follows login state changes.
+ * @returns {HTMLElement} The auth status element
+ */
+function createAuthStatus() {
+  const status = document.createElement('div');
+  status.className = 'nav-auth';
+
+  const render = ({ status: state, authenticated, user }) => {
+    status.replaceChildren();
+    if (state === AUTH_UNKNOWN) {
+      // Still restoring the session
+      return;
+    }
+    if (authenticated) {
+      const name = document.createElement('span');
+      name.className = 'nav-auth-user';
+      name.textContent = user.name || user.id;
+
+      const signOut = document.createElement('button');
+      signOut.type = 'button';
+      signOut.className = 'nav-auth-button';
+      signOut.textContent = 'Sign out';
+      signOut.addEventListener('click', () => auth.logout());
+      status.append(name, signOut);
+    } else {
+      const signIn = document.createElement('a');
+      signIn.className = 'nav-auth-button';
+      signIn.textContent = 'Sign in';
+      signIn.href = auth.loginPath;
+      signIn.addEventListener('click', (e) => {
+        e.preventDefault();
+        const current = router.getCurrentMatch();
+        router.navigate(current?.path === auth.loginPath ? current.url : auth.loginUrl(current?.url));
+      });
+      status.append(signIn);
+    }
+  };
+
+  render(auth.getState());
+  auth.subscribe(render);
+  return status;
 }
 
 /**
@@ -68,8 +168,9 @@ export function updateActiveLink(path) {
     link.classList.remove('active');
   });
 
-  // Add active class to matching link
-  const activeLink = document.querySelector(`.nav-link[data-path="${path}"]`);
+  // Add active class to matching link, falling back to the link whose path
+  // is the longest prefix of a deep link such as /mfe1/reports/42
+  const activeLink = document.querySelector(`.nav-link[data-path="${path}"]`) || findPrefixLink(path);
   if (activeLink) {
     activeLink.classList.add('active');
   } else {
@@ -83,12 +184,32 @@ export function updateActiveLink(path) {
   }
 }
 
+/**
+ * Find the navigation link whose path is the longest prefix of a path
+ * @param {string} path - The current path
+ * @returns {HTMLElement|null} The matching link
+ */
+function findPrefixLink(path) {
+  let best = null;
+  document.querySelectorAll('.nav-link').forEach(link => {
+    const linkPath = link.dataset.path;
+    if (linkPath !== '/' && path.startsWith(`${linkPath}/`)) {
+      if (!best || linkPath.length > best.dataset.path.length) {
+        best = link;
+      }
+    }
+  });
+  return best;
+}
+
 /**
  * Mount the navigation component to a container
  * @param {string|HTMLElement} container - The container selector or element
+ * @param {Array<Object>} extraLinks - Links appended after the shell links, as for createNavigation
+ * @param {Object} options - Navigation options, as for createNavigation
  * @returns {HTMLElement} The mounted navigation element
  */
-export function mountNavigation(container) {
+export function mountNavigation(container, extraLinks = [], options = {}) {
   const containerElement = typeof container === 'string' 
     ? document.querySelector(container) 
     : container;
@@ -97,7 +218,7 @@ export function mountNavigation(container) {
     throw new Error('Navigation container not found');
   }
 
-  const nav = createNavigation();
+  const nav = createNavigation(extraLinks, options);
   containerElement.replaceWith(nav);
 
   return nav;
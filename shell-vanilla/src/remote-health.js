@@ -0,0 +1,119 @@
+/**
+ * Remote Health Module
+ * Probes the origins a remote is served from and picks a healthy one
+ *
+ * A manifest entry may list several remoteEntry.json URLs in order of
+ * preference, e.g. the primary origin, a CDN mirror and a last-known-good
+ * version. Before federation is initialized the loader probes them in that
+ * order and uses the first healthy one. The choice is remembered in
+ * sessionStorage, so later page loads in the same session try it first.
+ */
+
+/**
+ * sessionStorage key holding { remote name: remoteEntry URL }
+ */
+const HEALTHY_ORIGINS_KEY = 'mfe-shell:healthy-origins';
+
+/**
+ * Default milliseconds before a probe counts as failed
+ */
+export const DEFAULT_PROBE_TIMEOUT = 3000;
+
+/**
+ * Probe a remote URL
+ * A remoteEntry.json is healthy when it answers 2xx with a JSON object;
+ * an iframe page only has to be reachable.
+ * @param {string} url - The URL to probe
+ * @param {Object} options - Probe options
+ * @param {number} options.timeout - Milliseconds before the probe fails
+ * @param {boolean} options.expectJson - Require a JSON object (remoteEntry.json)
+ * @returns {Promise<Object>} { url, healthy, status, latency, error, checkedAt }
+ */
+export async function probeOrigin(url, options = {}) {
+  const { timeout = DEFAULT_PROBE_TIMEOUT, expectJson = true } = options;
+  const startedAt = Date.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  const result = { url, healthy: false, status: null, latency: null, error: null, checkedAt: new Date() };
+  try {
+    const response = await fetch(url, {
+      cache: 'no-cache',
+      signal: controller.signal,
+      // Iframe pages are usually cross-origin without CORS; an opaque response still proves reachability
+      mode: expectJson ? 'cors' : 'no-cors'
+    });
+    result.status = response.status;
+
+    if (expectJson) {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const body = await response.json();
+      if (!body || typeof body !== 'object') {
+        throw new Error('not a remoteEntry.json object');
+      }
+    }
+    result.healthy = true;
+  } catch (error) {
+    result.error = controller.signal.aborted ? `timed out after ${timeout}ms` : error.message;
+  } finally {
+    clearTimeout(timer);
+    result.latency = Date.now() - startedAt;
+  }
+  return result;
+}
+
+/**
+ * Probe a remote's origins in order and return the first healthy one
+ * The origin remembered for this session is tried first.
+ * @param {string} name - The remote name
+ * @param {Array<string>} origins - remoteEntry.json URLs in order of preference
+ * @param {Object} options - Options passed to probeOrigin
+ * @returns {Promise<Object>} { url, probes } - url is null if no origin is healthy
+ */
+export async function selectOrigin(name, origins, options = {}) {
+  const remembered = readHealthyOrigins()[name];
+  const ordered = origins.includes(remembered)
+    ? [remembered, ...origins.filter(origin => origin !== remembered)]
+    : origins;
+
+  const probes = [];
+  for (const origin of ordered) {
+    const probe = await probeOrigin(origin, options);
+    probes.push(probe);
+    if (probe.healthy) {
+      rememberHealthyOrigin(name, origin);
+      return { url: origin, probes };
+    }
+  }
+  return { url: null, probes };
+}
+
+/**
+ * Read the origins remembered as healthy in this session
+ * @returns {Object<string, string>} Remote name -> remoteEntry URL
+ */
+export function readHealthyOrigins() {
+  try {
+    const value = JSON.parse(sessionStorage.getItem(HEALTHY_ORIGINS_KEY) || '{}');
+    return value && typeof value === 'object' ? value : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Remember a remote's healthy origin for this session
+ * @param {string} name - The remote name
+ * @param {string} url - The remoteEntry URL
+ */
+export function rememberHealthyOrigin(name, url) {
+  try {
+    sessionStorage.setItem(HEALTHY_ORIGINS_KEY, JSON.stringify({ ...readHealthyOrigins(), [name]: url }));
+  } catch {
+    // Without sessionStorage the primary origin is simply probed first again
+  }
+}
+
+export default { probeOrigin, selectOrigin, readHealthyOrigins, rememberHealthyOrigin };
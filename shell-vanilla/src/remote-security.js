@@ -0,0 +1,195 @@
+/**
+ * Remote Security Module
+ * Origin allowlist and integrity checks for remote code
+ *
+ * The allowlist lives in the shell build (VITE_REMOTE_ORIGINS, or
+ * mfeLoader.configure({ allowedOrigins })), not in the manifest, so a
+ * tampered manifest cannot widen it. Entries are origins such as
+ * "https://mfe1.example.com" or "https://*.example.com" for subdomains;
+ * the shell's own origin is always allowed. Without an allowlist every
+ * origin is allowed.
+ *
+ * A manifest entry may pin SRI-style hashes ("sha256-", "sha384-" or
+ * "sha512-" followed by the base64 digest; several may be given separated
+ * by spaces) for its remoteEntry.json and exposed modules. The loader checks
+ * remoteEntry.json before federation is initialized and builds the import
+ * map from the copy it checked; exposed module hashes go into the import
+ * map's "integrity" field, so the browser refuses a module that does not
+ * match. Shared bundles and lazy chunks are not pinned.
+ *
+ * buildContentSecurityPolicy turns the same allowlist into the CSP the
+ * build emits (see vite.config.js), so both always match.
+ */
+
+/**
+ * Hash algorithms accepted in integrity values, mapped to their Web Crypto names
+ */
+const DIGESTS = {
+  sha256: 'SHA-256',
+  sha384: 'SHA-384',
+  sha512: 'SHA-512'
+};
+
+/**
+ * Read the allowlist configured for this build
+ * @param {string} [value] - Comma or space separated origins, defaults to VITE_REMOTE_ORIGINS
+ * @returns {Array<string>|null} The allowed origins, or null if none are configured
+ */
+export function readAllowedOrigins(value = import.meta.env?.VITE_REMOTE_ORIGINS) {
+  const origins = parseOriginList(value);
+  return origins.length > 0 ? origins : null;
+}
+
+/**
+ * Split an origin list and normalize its entries
+ * @param {string} value - Comma or space separated origins
+ * @returns {Array<string>} Origins without trailing slashes
+ */
+export function parseOriginList(value) {
+  return String(value || '')
+    .split(/[\s,]+/)
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Check a URL against the allowlist
+ * @param {string} url - Absolute URL
+ * @param {Array<string>|null} allowlist - Allowed origins; null allows everything
+ * @returns {boolean} True if the URL may be loaded
+ */
+export function isOriginAllowed(url, allowlist) {
+  if (!allowlist) {
+    return true;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (typeof window !== 'undefined' && parsed.origin === window.location?.origin) {
+    return true;
+  }
+
+  return allowlist.some(entry => {
+    const match = entry.match(/^(https?:)\/\/(\*\.)?([^/:]+)(:\d+)?$/i);
+    if (!match) {
+      return false;
+    }
+    const [, protocol, wildcard, host, port = ''] = match;
+    if (parsed.protocol !== protocol.toLowerCase() || (parsed.port ? `:${parsed.port}` : '') !== port) {
+      return false;
+    }
+    const hostname = parsed.hostname.toLowerCase();
+    return wildcard
+      ? hostname.endsWith(`.${host.toLowerCase()}`)
+      : hostname === host.toLowerCase();
+  });
+}
+
+/**
+ * Check whether a URL points at the developer's own machine
+ * @param {string} url - Absolute URL
+ * @returns {boolean} True for localhost, 127.0.0.1 and [::1]
+ */
+export function isLoopbackUrl(url) {
+  try {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check content against an SRI-style integrity value
+ * @param {ArrayBuffer} content - The fetched bytes
+ * @param {string} integrity - e.g. "sha384-<base64>", several separated by spaces
+ * @returns {Promise<boolean>} True if any hash matches
+ */
+export async function verifyIntegrity(content, integrity) {
+  const hashes = parseIntegrity(integrity);
+  if (hashes.length === 0) {
+    return false;
+  }
+  for (const { algorithm, digest } of hashes) {
+    const actual = await crypto.subtle.digest(DIGESTS[algorithm], content);
+    if (toBase64(actual) === digest) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Split an integrity value into its hashes
+ * @param {string} integrity - e.g. "sha384-<base64> sha512-<base64>"
+ * @returns {Array<{algorithm: string, digest: string}>} The supported hashes
+ */
+export function parseIntegrity(integrity) {
+  return String(integrity || '')
+    .split(/\s+/)
+    .map(value => value.match(/^(sha256|sha384|sha512)-([A-Za-z0-9+/]+={0,2})$/))
+    .filter(Boolean)
+    .map(([, algorithm, digest]) => ({ algorithm, digest }));
+}
+
+/**
+ * Create the error for a remote that failed a security check
+ * Permanent: retrying cannot make the remote trustworthy.
+ * @param {string} name - The remote name
+ * @param {string} reason - What failed
+ * @returns {Error} The error
+ */
+export function createSecurityError(name, reason) {
+  const error = new Error(`Remote "${name}" was blocked: ${reason}`);
+  error.name = 'RemoteSecurityError';
+  error.permanent = true;
+  return error;
+}
+
+/**
+ * Build a Content-Security-Policy matching the allowlist
+ * @param {Array<string>} allowlist - Allowed remote origins
+ * @param {Object} options - Extra sources
+ * @param {Array<string>} options.connect - Further connect-src origins, e.g. the manifest or error endpoint
+ * @param {string} options.scriptNonce - Nonce of the inline import map the loader installs (see import-map.js)
+ * @returns {string} The policy
+ */
+export function buildContentSecurityPolicy(allowlist = [], options = {}) {
+  const remotes = allowlist.join(' ');
+  const connect = [...allowlist, ...(options.connect || [])].join(' ');
+  // Inline import maps fall under script-src
+  const nonce = options.scriptNonce ? ` 'nonce-${options.scriptNonce}'` : '';
+  const directives = [
+    "default-src 'self'",
+    `script-src 'self'${nonce} ${remotes}`,
+    // Angular adds component styles as inline <style> elements
+    `style-src 'self' 'unsafe-inline' ${remotes}`,
+    `connect-src 'self' ${connect}`,
+    `img-src 'self' data: ${remotes}`,
+    `font-src 'self' ${remotes}`,
+    `frame-src ${remotes || "'none'"}`,
+    "object-src 'none'",
+    "base-uri 'self'"
+  ];
+  return directives.map(directive => directive.trim()).join('; ');
+}
+
+/**
+ * Encode a digest as base64
+ * @param {ArrayBuffer} buffer - The digest
+ * @returns {string} The base64 string
+ */
+function toBase64(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+export default {
+  readAllowedOrigins,
+  isOriginAllowed,
+  verifyIntegrity,
+  createSecurityError,
+  buildContentSecurityPolicy
+};
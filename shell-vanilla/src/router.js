@@ -1,73 +1,503 @@
 /**
  * Client-side router using the History API
  * Handles route registration, navigation, and browser back/forward events
+ *
+ * Route patterns:
+ *   /mfe1          static path, matches only /mfe1
+ *   /users/:id     named parameter, matches /users/42 with params.id = '42'
+ *   /mfe1/*        wildcard suffix, matches /mfe1 and everything below it;
+ *                  the part after the prefix is exposed as match.rest
+ *
+ * When several patterns match, they are compared segment by segment from the
+ * left and the first difference decides: static > :param > end of pattern > *.
+ * So /users/new beats /users/:id, /mfe1 beats /mfe1/*, and /mfe1/reports/*
+ * beats /mfe1/*. Patterns that rank equally resolve to the first registered.
+ *
+ * Guards and hooks may be async and run in this order before a handler:
+ *   canLeave of the current route, beforeEach hooks, canEnter of the new route.
+ * A guard returns false to cancel, a path string to redirect, FORBIDDEN to
+ * deny access, or anything else to continue. afterEach hooks run once the
+ * handler has completed.
+ * Routes may carry metadata (options.meta, exposed as match.meta) for hooks
+ * to enforce, e.g. { requiresAuth, roles } checked by the auth guard.
+ *
+ * Concurrent navigations follow a latest-wins policy: starting a navigation
+ * aborts the one in flight. Handlers receive match.signal (an AbortSignal)
+ * and should stop loading and never mount once it is aborted. Transitions are
+ * reported through on(): navigationstart, navigationredirect, navigationcancel,
+ * navigationend and navigationerror, each with { id, path, from } details.
+ *
+ * Query strings and hashes are kept in the address bar and parsed into the
+ * match result (search, query, hash); only the pathname takes part in matching.
+ *
+ * Paths no route matches go to the fallback registered for their longest
+ * prefix (registerFallback), then to the not-found handler (setNotFound).
+ * Both keep the requested URL in the address bar; their matches carry
+ * notFound: true. Without a not-found handler, unknown paths go home.
+ * Likewise a FORBIDDEN verdict renders the forbidden handler (setForbidden)
+ * under the requested URL, with forbidden: true; without one it cancels.
  */
 
+/**
+ * Guard verdict denying access to a route
+ */
+export const FORBIDDEN = Symbol('forbidden');
+
+/**
+ * Maximum number of chained guard redirects before navigation is aborted
+ */
+const MAX_REDIRECTS = 10;
+
+/**
+ * Segment scores used to rank matching patterns
+ */
+const SCORE_STATIC = 4;
+const SCORE_PARAM = 3;
+const SCORE_END = 2;
+const SCORE_WILDCARD = 1;
+
+/**
+ * Split a path into its non-empty segments
+ * @param {string} path - A path such as '/mfe1/reports/42'
+ * @returns {Array<string>} The segments
+ */
+function splitPath(path) {
+  return path.split('/').filter(Boolean);
+}
+
+/**
+ * Normalize a path: leading slash, no trailing slash (except for root)
+ * @param {string} path - The path to normalize
+ * @returns {string} The normalized path
+ */
+function normalizePath(path) {
+  const segments = splitPath(path || '/');
+  return '/' + segments.join('/');
+}
+
+/**
+ * Split a URL into pathname, query and hash
+ * @param {string} url - A URL or path such as '/mfe1/reports?year=2024#summary'
+ * @returns {Object} { path, search, query, hash, url }
+ */
+function parseUrl(url) {
+  const base = typeof window !== 'undefined' && window.location?.href
+    ? window.location.href
+    : 'http://localhost/';
+  const parsed = new URL(url || '/', base);
+
+  const query = {};
+  parsed.searchParams.forEach((value, key) => {
+    if (key in query) {
+      query[key] = [].concat(query[key], value);
+    } else {
+      query[key] = value;
+    }
+  });
+
+  const path = normalizePath(parsed.pathname);
+  return {
+    path,
+    search: parsed.search,
+    query,
+    hash: parsed.hash.slice(1),
+    url: path + parsed.search + parsed.hash
+  };
+}
+
+/**
+ * Compile a route pattern into a matcher description
+ * @param {string} pattern - The route pattern
+ * @returns {Object} { pattern, segments, wildcard, score }
+ */
+function compilePattern(pattern) {
+  const parts = splitPath(pattern);
+  const wildcard = parts[parts.length - 1] === '*';
+  if (wildcard) {
+    parts.pop();
+  }
+
+  const segments = parts.map(part => {
+    if (part === '*') {
+      throw new Error(`Route "${pattern}": "*" is only allowed as the last segment`);
+    }
+    if (part.startsWith(':')) {
+      const name = part.slice(1);
+      if (!name) {
+        throw new Error(`Route "${pattern}": parameter name must not be empty`);
+      }
+      return { param: name };
+    }
+    return { value: part };
+  });
+
+  const score = segments.map(segment => (segment.param ? SCORE_PARAM : SCORE_STATIC));
+  score.push(wildcard ? SCORE_WILDCARD : SCORE_END);
+
+  return { pattern, segments, wildcard, score };
+}
+
+/**
+ * Compare two route scores
+ * @param {Array<number>} a - Score of the first route
+ * @param {Array<number>} b - Score of the second route
+ * @returns {number} Positive if a ranks higher, negative if b ranks higher, 0 if equal
+ */
+function compareScores(a, b) {
+  const length = Math.max(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    const diff = (a[i] ?? SCORE_END) - (b[i] ?? SCORE_END);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
 class Router {
   constructor() {
     this.routes = new Map();
+    this.fallbacks = new Map();
+    this.notFoundHandler = null;
+    this.forbiddenHandler = null;
     this.currentRoute = null;
+    this.currentMatch = null;
     this.isInitialized = false;
+    this.beforeHooks = [];
+    this.afterHooks = [];
+    this.listeners = new Map();
+    this.navigationId = 0;
+    this.pendingNavigation = null;
   }
 
   /**
    * Register a route with its handler function
-   * @param {string} path - The route path (e.g., '/', '/home', '/mfe1')
-   * @param {Function} handler - The function to call when this route is active
+   * @param {string} path - The route pattern (e.g., '/', '/home', '/mfe1/*', '/users/:id')
+   * @param {Function} handler - Called with the match result when this route is active
+   * @param {Object} options - Route options
+   * @param {Function} options.canEnter - Guard (to, from) run before entering the route
+   * @param {Function} options.canLeave - Guard (to, from) run before leaving the route
+   * @param {Object} options.meta - Metadata exposed to guards and hooks as match.meta
+   */
+  register(path, handler, options = {}) {
+    this.routes.set(path, this._createRoute(path, handler, options));
+  }
+
+  /**
+   * Register a fallback for unknown paths below a prefix
+   * It is only used when no registered route matches, so an unknown
+   * /mfe1/... path can be handed to the MFE's own not-found handling.
+   * @param {string} prefix - The path prefix (e.g., '/mfe1')
+   * @param {Function} handler - Called with the match result; match.rest is the path below the prefix
+   * @param {Object} options - Route options (canEnter, canLeave, meta), as for register()
+   */
+  registerFallback(prefix, handler, options = {}) {
+    const pattern = `${normalizePath(prefix)}/*`.replace('//*', '/*');
+    this.fallbacks.set(pattern, this._createRoute(pattern, handler, options));
+  }
+
+  /**
+   * Set the handler for paths that match neither a route nor a fallback
+   * @param {Function} handler - Called with the match result (notFound: true)
+   */
+  setNotFound(handler) {
+    if (typeof handler !== 'function') {
+      throw new Error('Not-found handler must be a function');
+    }
+    this.notFoundHandler = handler;
+  }
+
+  /**
+   * Set the handler for routes a guard denies with FORBIDDEN
+   * @param {Function} handler - Called with the match result of the denied route (forbidden: true)
    */
-  register(path, handler) {
+  setForbidden(handler) {
     if (typeof handler !== 'function') {
-      throw new Error(`Handler for route "${path}" must be a function`);
+      throw new Error('Forbidden handler must be a function');
+    }
+    this.forbiddenHandler = handler;
+  }
+
+  /**
+   * Register a hook that runs before every navigation
+   * @param {Function} hook - (to, from) => false | string | FORBIDDEN | void, may be async
+   * @returns {Function} Function that removes the hook
+   */
+  beforeEach(hook) {
+    return this._addHook(this.beforeHooks, hook, 'beforeEach');
+  }
+
+  /**
+   * Register a hook that runs after every completed navigation
+   * @param {Function} hook - (to, from) => void, may be async
+   * @returns {Function} Function that removes the hook
+   */
+  afterEach(hook) {
+    return this._addHook(this.afterHooks, hook, 'afterEach');
+  }
+
+  /**
+   * Subscribe to navigation events
+   * @param {string} type - navigationstart | navigationredirect | navigationcancel | navigationend | navigationerror
+   * @param {Function} listener - Called with the event details
+   * @returns {Function} Function that removes the listener
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.listeners.get(type)?.delete(listener);
+  }
+
+  /**
+   * Find the best matching route for a URL
+   * @param {string} url - The path to match, optionally with query string and hash
+   * @returns {Object|null} { path, search, query, hash, url, pattern, params, rest, meta, handler } or null if nothing matches
+   */
+  match(url) {
+    const location = parseUrl(url);
+    const pathSegments = splitPath(location.path);
+    const best = this._findBest(this.routes, pathSegments);
+
+    if (!best) {
+      return null;
+    }
+
+    return {
+      ...location,
+      pattern: best.route.pattern,
+      params: best.params,
+      rest: best.rest,
+      meta: best.route.meta,
+      handler: best.route.handler
+    };
+  }
+
+  /**
+   * Resolve a URL no route matches to a prefix fallback or the not-found handler
+   * @param {string} url - The unmatched URL
+   * @returns {Object|null} Match result with notFound: true, or null if neither is registered
+   */
+  matchNotFound(url) {
+    const location = parseUrl(url);
+    const fallback = this._findBest(this.fallbacks, splitPath(location.path));
+
+    if (fallback) {
+      return {
+        ...location,
+        pattern: fallback.route.pattern,
+        params: fallback.params,
+        rest: fallback.rest,
+        meta: fallback.route.meta,
+        handler: fallback.route.handler,
+        fallback: true,
+        notFound: true
+      };
+    }
+
+    if (this.notFoundHandler) {
+      return {
+        ...location,
+        pattern: null,
+        params: {},
+        rest: location.path,
+        meta: {},
+        handler: this.notFoundHandler,
+        notFound: true
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Navigate to a URL using the History API
+   * Supersedes any navigation that is still in flight (latest wins).
+   * @param {string} url - The path to navigate to, optionally with query string and hash
+   * @param {Object|boolean} options - Navigation options (a boolean is read as skipPushState)
+   * @param {boolean} options.replace - Replace the current history entry instead of pushing one
+   * @param {*} options.state - Serializable state stored with the history entry
+   * @param {boolean} options.skipPushState - Don't touch history at all (used for popstate)
+   * @returns {Promise<boolean>} True if the navigation completed, false if it was cancelled, superseded or failed
+   */
+  async navigate(url, options = {}) {
+    if (typeof options === 'boolean') {
+      options = { skipPushState: options };
+    }
+
+    if (this.pendingNavigation) {
+      this.pendingNavigation.controller.abort(
+        new DOMException(`Navigation to "${this.pendingNavigation.path}" was superseded`, 'AbortError')
+      );
+    }
+
+    const navigation = {
+      id: ++this.navigationId,
+      path: url,
+      controller: new AbortController()
+    };
+    this.pendingNavigation = navigation;
+
+    try {
+      return await this._navigate(url, options, 0, navigation);
+    } finally {
+      if (this.pendingNavigation === navigation) {
+        this.pendingNavigation = null;
+      }
     }
-    this.routes.set(path, handler);
   }
 
   /**
-   * Navigate to a specific path using the History API
-   * @param {string} path - The path to navigate to
-   * @param {boolean} skipPushState - If true, don't add to history (used for popstate)
+   * Navigate with guard redirect tracking
+   * @private
+   * @param {string} url - The URL to navigate to
+   * @param {Object} options - { replace, state, skipPushState }
+   * @param {number} redirects - Number of guard redirects so far
+   * @param {Object} navigation - The navigation token ({ id, path, controller })
+   * @returns {Promise<boolean>} True if the navigation completed
    */
-  async navigate(path, skipPushState = false) {
+  async _navigate(url, options, redirects, navigation) {
+    const { replace = false, state = null, skipPushState = false } = options;
+    const { id, controller: { signal } } = navigation;
+    const from = this.currentMatch;
+    let path = url;
+
     try {
-      // Check if route exists, fallback to home if not
-      if (!this.routes.has(path)) {
-        console.warn(`Route "${path}" not found, redirecting to home`);
-        path = '/';
+      // Find the best matching route, then a fallback or not-found handler,
+      // and only redirect home if the app registered neither
+      let match = this.match(url) || this.matchNotFound(url);
+      if (!match) {
+        console.warn(`Route "${url}" not found, redirecting to home`);
+        match = this.match('/');
+      } else if (match.notFound) {
+        console.warn(`Route "${url}" not found, using ${match.fallback ? `fallback "${match.pattern}"` : 'not-found handler'}`);
+      }
+      path = match.path;
+
+      if (redirects === 0) {
+        this._emit('navigationstart', { id, path, from });
+      }
+
+      // Run guards and hooks; the leave guard was already satisfied on a redirect
+      const verdict = await this._runGuards(match, from, redirects === 0);
+
+      if (signal.aborted) {
+        return this._cancel(id, path, from, 'superseded');
+      }
+
+      if (verdict === false || (verdict === FORBIDDEN && !this.forbiddenHandler)) {
+        // The browser already moved on a back/forward; put the URL back
+        if (skipPushState && from && this._locationUrl() !== from.url) {
+          window.history.pushState({ path: from.url, state: from.state }, '', from.url);
+        }
+        return this._cancel(id, path, from, verdict === FORBIDDEN ? 'forbidden' : 'guard');
+      }
+
+      // Keep the URL but render the forbidden handler instead of the route
+      if (verdict === FORBIDDEN) {
+        console.warn(`Access to "${path}" is forbidden, using forbidden handler`);
+        match = { ...match, handler: this.forbiddenHandler, forbidden: true };
+      }
+
+      if (typeof verdict === 'string') {
+        if (redirects >= MAX_REDIRECTS) {
+          throw new Error(`Too many guard redirects while navigating to "${path}"`);
+        }
+        console.log(`Navigation to "${path}" redirected to "${verdict}"`);
+        this._emit('navigationredirect', { id, path, from, redirectTo: verdict });
+        // Nothing was pushed for the original target yet; a back/forward or
+        // replace navigation already owns an entry, which the redirect replaces
+        return this._navigate(verdict, { replace: replace || skipPushState }, redirects + 1, navigation);
       }
 
       // Update browser history if not coming from popstate
       if (!skipPushState) {
-        window.history.pushState({ path }, '', path);
+        const method = replace ? 'replaceState' : 'pushState';
+        window.history[method]({ path: match.url, state }, '', match.url);
       }
 
-      // Store current route
+      // Store current route; handlers get the navigation id, state and abort signal
+      match = { ...match, state, navigationId: id, signal };
       this.currentRoute = path;
+      this.currentMatch = match;
 
-      // Get and execute the route handler
-      const handler = this.routes.get(path);
+      // Execute the route handler with the match result
       try {
-        await handler(path);
+        await match.handler(match);
       } catch (error) {
+        if (signal.aborted) {
+          return this._cancel(id, path, from, 'superseded');
+        }
+
         console.error(`Error executing handler for route "${path}":`, error);
+        this._emit('navigationerror', { id, path, from, error });
         
         // If we're not already on home and the error occurred, try to navigate home
         // This ensures the shell remains stable even if a route handler fails
         if (path !== '/' && path !== '/home') {
           console.log('Attempting to recover by navigating to home');
           this.navigate('/');
+          return false;
         } else {
           // If home page itself fails, we have a critical error
           // Re-throw to be caught by global error handler
           throw error;
         }
       }
+
+      if (signal.aborted) {
+        return this._cancel(id, path, from, 'superseded');
+      }
+
+      await this._runAfterHooks(match, from);
+      this._emit('navigationend', {
+        id,
+        path,
+        from,
+        notFound: Boolean(match.notFound),
+        forbidden: Boolean(match.forbidden)
+      });
+      return true;
     } catch (error) {
       console.error('Critical navigation error:', error);
       // Ensure shell remains functional by not crashing
       // The error will be caught by global error handler
+      return false;
     }
   }
 
+  /**
+   * Record a cancelled navigation
+   * @private
+   * @param {number} id - The navigation id
+   * @param {string} path - The target path
+   * @param {Object|null} from - Match result of the current route
+   * @param {string} reason - 'guard', 'forbidden' or 'superseded'
+   * @returns {boolean} Always false, for use as the navigation result
+   */
+  _cancel(id, path, from, reason) {
+    console.log(`Navigation to "${path}" was cancelled (${reason})`);
+    this._emit('navigationcancel', { id, path, from, reason });
+    return false;
+  }
+
+  /**
+   * Notify listeners of a navigation event
+   * @private
+   * @param {string} type - The event type
+   * @param {Object} detail - The event details
+   */
+  _emit(type, detail) {
+    this.listeners.get(type)?.forEach(listener => {
+      try {
+        listener(detail);
+      } catch (error) {
+        console.error(`Error in ${type} listener:`, error);
+      }
+    });
+  }
+
   /**
    * Initialize the router
    * Sets up popstate listener and handles initial route
@@ -80,14 +510,22 @@ class Router {
 
     // Set up popstate listener for back/forward navigation
     window.addEventListener('popstate', (event) => {
-      const path = event.state?.path || window.location.pathname;
-      // Use skipPushState=true to avoid adding duplicate history entries
-      this.navigate(path, true);
+      const url = this._locationUrl();
+      const current = this.currentMatch;
+
+      // In-page anchor jumps only change the hash; don't re-run the route
+      if (current && parseUrl(url).path === current.path && window.location.search === current.search) {
+        current.hash = window.location.hash.slice(1);
+        current.url = url;
+        return;
+      }
+
+      // Use skipPushState to avoid adding duplicate history entries
+      this.navigate(url, { skipPushState: true, state: event.state?.state ?? null });
     });
 
-    // Handle initial route on page load
-    const initialPath = window.location.pathname;
-    this.navigate(initialPath, true);
+    // Handle initial route on page load, keeping any query string and hash
+    this.navigate(this._locationUrl(), { replace: true, state: window.history.state?.state ?? null });
 
     this.isInitialized = true;
   }
@@ -101,13 +539,211 @@ class Router {
   }
 
   /**
-   * Check if a route is registered
-   * @param {string} path - The path to check
+   * Get the full URL (path, query string and hash) of the current route
+   * @returns {string|null} The current URL
+   */
+  getCurrentUrl() {
+    return this.currentMatch?.url ?? null;
+  }
+
+  /**
+   * Get the match result of the current route
+   * @returns {Object|null} { path, search, query, hash, url, state, pattern, params, rest, meta, handler }
+   */
+  getCurrentMatch() {
+    return this.currentMatch;
+  }
+
+  /**
+   * Check if a route pattern is registered
+   * @param {string} path - The pattern to check
    * @returns {boolean} True if the route exists
    */
   hasRoute(path) {
     return this.routes.has(path);
   }
+
+  /**
+   * Build a route record with its handler and guards
+   * @private
+   * @param {string} pattern - The route pattern
+   * @param {Function} handler - The route handler
+   * @param {Object} options - { canEnter, canLeave, meta }
+   * @returns {Object} The route record
+   */
+  _createRoute(pattern, handler, options) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for route "${pattern}" must be a function`);
+    }
+
+    const { canEnter = null, canLeave = null, meta = {} } = options;
+    [['canEnter', canEnter], ['canLeave', canLeave]].forEach(([name, guard]) => {
+      if (guard !== null && typeof guard !== 'function') {
+        throw new Error(`${name} guard for route "${pattern}" must be a function`);
+      }
+    });
+
+    if (!meta || typeof meta !== 'object') {
+      throw new Error(`meta for route "${pattern}" must be an object`);
+    }
+
+    return { ...compilePattern(pattern), handler, canEnter, canLeave, meta: Object.freeze({ ...meta }) };
+  }
+
+  /**
+   * Find the highest ranked route in a collection that matches path segments
+   * @private
+   * @param {Map<string, Object>} routes - Route records
+   * @param {Array<string>} pathSegments - Segments of the requested path
+   * @returns {Object|null} { route, params, rest } or null
+   */
+  _findBest(routes, pathSegments) {
+    let best = null;
+
+    for (const route of routes.values()) {
+      const result = this._matchRoute(route, pathSegments);
+      if (result && (!best || compareScores(route.score, best.route.score) > 0)) {
+        best = { route, ...result };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Look up the route record (with its guards) behind a match result
+   * @private
+   * @param {Object} match - A match result
+   * @returns {Object|null} The route record
+   */
+  _routeFor(match) {
+    if (match.pattern === null) {
+      return null;
+    }
+    return (match.fallback ? this.fallbacks : this.routes).get(match.pattern) || null;
+  }
+
+  /**
+   * Read the browser's current URL without the origin
+   * @private
+   * @returns {string} Path, query string and hash
+   */
+  _locationUrl() {
+    const { pathname, search, hash } = window.location;
+    return pathname + search + hash;
+  }
+
+  /**
+   * Add a hook to a hook list
+   * @private
+   * @param {Array<Function>} hooks - The hook list
+   * @param {Function} hook - The hook to add
+   * @param {string} kind - Hook kind for error messages
+   * @returns {Function} Function that removes the hook
+   */
+  _addHook(hooks, hook, kind) {
+    if (typeof hook !== 'function') {
+      throw new Error(`${kind} hook must be a function`);
+    }
+    hooks.push(hook);
+    return () => {
+      const index = hooks.indexOf(hook);
+      if (index !== -1) {
+        hooks.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Run leave guards, beforeEach hooks and enter guards in order
+   * A guard that throws cancels the navigation.
+   * @private
+   * @param {Object} to - Match result of the target route
+   * @param {Object|null} from - Match result of the current route
+   * @param {boolean} checkLeave - Whether to run the current route's canLeave guard
+   * @returns {Promise<boolean|string|symbol|undefined>} false to cancel, a path to redirect, FORBIDDEN to deny, undefined to continue
+   */
+  async _runGuards(to, from, checkLeave) {
+    const guards = [];
+
+    const fromRoute = from ? this._routeFor(from) : null;
+    if (checkLeave && fromRoute?.canLeave) {
+      guards.push(['canLeave', fromRoute.canLeave]);
+    }
+    this.beforeHooks.forEach(hook => guards.push(['beforeEach', hook]));
+    const toRoute = this._routeFor(to);
+    if (toRoute?.canEnter) {
+      guards.push(['canEnter', toRoute.canEnter]);
+    }
+
+    for (const [kind, guard] of guards) {
+      let result;
+      try {
+        result = await guard(to, from);
+      } catch (error) {
+        console.error(`${kind} guard failed while navigating to "${to.path}":`, error);
+        return false;
+      }
+
+      if (result === false || typeof result === 'string' || result === FORBIDDEN) {
+        return result;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Run afterEach hooks; failures are logged and do not affect navigation
+   * @private
+   * @param {Object} to - Match result of the new route
+   * @param {Object|null} from - Match result of the previous route
+   */
+  async _runAfterHooks(to, from) {
+    for (const hook of this.afterHooks) {
+      try {
+        await hook(to, from);
+      } catch (error) {
+        console.error('afterEach hook failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Match a compiled route against path segments
+   * @private
+   * @param {Object} route - The compiled route
+   * @param {Array<string>} pathSegments - Segments of the requested path
+   * @returns {Object|null} { params, rest } or null if the route does not match
+   */
+  _matchRoute(route, pathSegments) {
+    const { segments, wildcard } = route;
+
+    if (pathSegments.length < segments.length) {
+      return null;
+    }
+    if (!wildcard && pathSegments.length !== segments.length) {
+      return null;
+    }
+
+    const params = {};
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      if (segment.param) {
+        try {
+          params[segment.param] = decodeURIComponent(pathSegments[i]);
+        } catch {
+          // Malformed percent-encoding never matches a parameter
+          return null;
+        }
+      } else if (segment.value !== pathSegments[i]) {
+        return null;
+      }
+    }
+
+    const rest = '/' + pathSegments.slice(segments.length).join('/');
+    return { params, rest };
+  }
 }
 
 // Export a singleton instance
@@ -0,0 +1,270 @@
+/**
+ * Shared Dependencies Module
+ * Checks remotes' shared dependencies against each other before federation is initialized
+ *
+ * Each remoteEntry.json lists what the remote shares:
+ *   "shared": [{ "packageName": "@angular/core", "version": "20.1.0",
+ *                "requiredVersion": "^20.1.0", "singleton": true,
+ *                "strictVersion": true, "outFileName": "_angular_core.js" }]
+ *
+ * The loader compares remotes in manifest order before federation builds
+ * its import map: the first remote sharing a singleton provides it for
+ * everyone. A later remote conflicts when it shares the same package as a
+ * singleton and the provided version does not satisfy its requiredVersion.
+ * The loader then applies a policy:
+ *   warn      log the conflict and load the remote with the provided version
+ *   refuse    leave the remote out of the federation; loading it fails with
+ *             a SharedDependencyError
+ *   own-copy  load the remote with its own bundles of the conflicting packages,
+ *             through a scope at the remote's URL in the federation's import map
+ */
+
+export const SHARED_POLICY_WARN = 'warn';
+export const SHARED_POLICY_REFUSE = 'refuse';
+export const SHARED_POLICY_OWN_COPY = 'own-copy';
+export const SHARED_POLICIES = [SHARED_POLICY_WARN, SHARED_POLICY_REFUSE, SHARED_POLICY_OWN_COPY];
+
+/**
+ * Resolution of a package for a remote in the dependency graph
+ */
+export const RESOLUTION_SHARED = 'shared';
+export const RESOLUTION_MISMATCH = 'mismatch';
+export const RESOLUTION_OWN_COPY = 'own-copy';
+
+/**
+ * Tracks which versions of shared packages are loaded and who uses them
+ */
+export class SharedDependencyRegistry {
+  constructor() {
+    // Package name -> { version, providedBy, consumers: Map(remote -> { version, requiredVersion, resolution }) }
+    this.packages = new Map();
+    // Remotes whose shared dependencies are registered
+    this.remotes = new Set();
+  }
+
+  /**
+   * Check whether a remote has been registered
+   * @param {string} name - The remote name
+   * @returns {boolean} True if its shared dependencies are registered
+   */
+  hasRemote(name) {
+    return this.remotes.has(name);
+  }
+
+  /**
+   * Find the packages a remote shares that conflict with the registered ones
+   * @param {string} name - The remote name
+   * @param {Array<Object>} shared - Result of readSharedDependencies
+   * @returns {Array<Object>} [{ packageName, version, requiredVersion, strict, loadedVersion, loadedBy }]
+   */
+  check(name, shared) {
+    return shared
+      .filter(dependency => dependency.singleton)
+      .map(dependency => ({ dependency, loaded: this.packages.get(dependency.packageName) }))
+      .filter(({ dependency, loaded }) =>
+        loaded &&
+        loaded.providedBy !== name &&
+        loaded.version !== dependency.version &&
+        !satisfies(loaded.version, dependency.requiredVersion || dependency.version)
+      )
+      .map(({ dependency, loaded }) => ({
+        packageName: dependency.packageName,
+        version: dependency.version,
+        requiredVersion: dependency.requiredVersion,
+        strict: dependency.strictVersion,
+        loadedVersion: loaded.version,
+        loadedBy: loaded.providedBy
+      }));
+  }
+
+  /**
+   * Record a remote's shared dependencies once its conflicts are settled
+   * @param {string} name - The remote name
+   * @param {Array<Object>} shared - Result of readSharedDependencies
+   * @param {Object<string, string>} resolutions - Package name -> resolution for conflicting packages
+   */
+  register(name, shared, resolutions = {}) {
+    shared.forEach(dependency => {
+      const { packageName, version, requiredVersion } = dependency;
+      let entry = this.packages.get(packageName);
+      if (!entry) {
+        entry = { version, providedBy: name, consumers: new Map() };
+        this.packages.set(packageName, entry);
+      }
+      entry.consumers.set(name, {
+        version,
+        requiredVersion,
+        resolution: resolutions[packageName] || RESOLUTION_SHARED
+      });
+    });
+    this.remotes.add(name);
+  }
+
+  /**
+   * The resolved dependency graph
+   * @returns {Object} { packages: { name: { version, providedBy, consumers } }, remotes: { name: [packages] } }
+   */
+  getGraph() {
+    const packages = {};
+    const remotes = {};
+    this.packages.forEach((entry, packageName) => {
+      packages[packageName] = {
+        version: entry.version,
+        providedBy: entry.providedBy,
+        consumers: Object.fromEntries(entry.consumers)
+      };
+      entry.consumers.forEach((consumer, remote) => {
+        (remotes[remote] = remotes[remote] || []).push(packageName);
+      });
+    });
+    return { packages, remotes };
+  }
+}
+
+/**
+ * Read the shared section of a remoteEntry.json
+ * @param {Object} remoteEntry - The parsed remoteEntry.json
+ * @returns {Array<Object>} [{ packageName, version, requiredVersion, singleton, strictVersion, outFileName }]
+ */
+export function readSharedDependencies(remoteEntry) {
+  const shared = Array.isArray(remoteEntry?.shared) ? remoteEntry.shared : [];
+  return shared
+    .filter(dependency => typeof dependency?.packageName === 'string')
+    .map(dependency => ({
+      packageName: dependency.packageName,
+      version: typeof dependency.version === 'string' ? dependency.version : null,
+      requiredVersion: typeof dependency.requiredVersion === 'string' ? dependency.requiredVersion : null,
+      singleton: Boolean(dependency.singleton),
+      strictVersion: Boolean(dependency.strictVersion),
+      outFileName: dependency.outFileName || null
+    }));
+}
+
+/**
+ * Map a remote's own bundles of the given packages, for an import map scope at the remote's URL
+ * @param {string} remoteEntryUrl - URL of the remote's remoteEntry.json
+ * @param {Array<Object>} shared - Result of readSharedDependencies
+ * @param {Array<string>} packageNames - Packages the remote gets its own copy of
+ * @returns {Object<string, string>} The packages that could be mapped, to their bundle URLs
+ */
+export function mapOwnCopies(remoteEntryUrl, shared, packageNames) {
+  const base = new URL('./', remoteEntryUrl).href;
+  const imports = {};
+  shared
+    .filter(dependency => packageNames.includes(dependency.packageName) && dependency.outFileName)
+    .forEach(dependency => {
+      imports[dependency.packageName] = new URL(dependency.outFileName, base).href;
+    });
+  return imports;
+}
+
+/**
+ * Describe a conflict for log and error messages
+ * @param {Object} conflict - An entry returned by check
+ * @returns {string} e.g. "@angular/core 19.2.0 needs ^19.2.0, but mfe1 provides 20.1.0"
+ */
+export function describeConflict(conflict) {
+  const { packageName, version, requiredVersion, loadedVersion, loadedBy } = conflict;
+  return `${packageName} ${version ?? '(unknown version)'} needs ${requiredVersion ?? version}, ` +
+    `but ${loadedBy} provides ${loadedVersion}`;
+}
+
+/**
+ * Create the error for a remote refused because of conflicts
+ * Permanent: reloading the same remote cannot fix it.
+ * @param {string} name - The remote name
+ * @param {Array<Object>} conflicts - Entries returned by check
+ * @returns {Error} The error
+ */
+export function createSharedDependencyError(name, conflicts) {
+  const error = new Error(
+    `Remote "${name}" needs shared dependencies that conflict with those of earlier remotes: ` +
+    conflicts.map(describeConflict).join('; ')
+  );
+  error.name = 'SharedDependencyError';
+  error.permanent = true;
+  error.conflicts = conflicts;
+  return error;
+}
+
+/**
+ * Check a version against a semver range
+ * Supports exact versions, x-ranges, ^, ~, comparators and || alternatives.
+ * @param {string} version - e.g. "20.1.0"
+ * @param {string} range - e.g. "^20.0.0", ">=19.0.0 <21", "19.x || 20.x"
+ * @returns {boolean} True if the version satisfies the range
+ */
+export function satisfies(version, range) {
+  const parsed = parseVersion(version);
+  if (!parsed || !range) {
+    return version === range;
+  }
+  return range.split('||').some(set =>
+    set.trim().split(/\s+/).every(comparator => matchComparator(parsed, comparator))
+  );
+}
+
+/**
+ * Check a parsed version against one comparator
+ * @param {Array<number>} version - [major, minor, patch]
+ * @param {string} comparator - e.g. "^20.1.0", ">=19", "20.x", "*"
+ * @returns {boolean} True if it matches
+ */
+function matchComparator(version, comparator) {
+  const [, operator = '', rest] = comparator.match(/^(\^|~|>=|<=|>|<|=)?v?(.*)$/);
+  if (rest === '' || rest === '*' || rest.toLowerCase() === 'x') {
+    return true;
+  }
+
+  const parts = rest.split('-')[0].split('.');
+  const given = parts.filter(part => /^\d+$/.test(part)).length;
+  const target = [0, 1, 2].map(index => Number(parts[index]) || 0);
+  const order = compare(version, target);
+
+  switch (operator) {
+    case '>=': return order >= 0;
+    case '>': return order > 0;
+    case '<=': return order <= 0;
+    case '<': return order < 0;
+    case '^': {
+      // Up to the first non-zero part may not change
+      const fixed = target[0] > 0 || given === 1 ? 1 : target[1] > 0 || given === 2 ? 2 : 3;
+      return order >= 0 && version.slice(0, fixed).every((part, index) => part === target[index]);
+    }
+    case '~':
+      return order >= 0 && version.slice(0, given > 1 ? 2 : 1).every((part, index) => part === target[index]);
+    default:
+      // Exact, or an x-range for partial versions such as "20" or "20.1.x"
+      return version.slice(0, given).every((part, index) => part === target[index]);
+  }
+}
+
+/**
+ * Parse a version string, ignoring prerelease and build suffixes
+ * @param {string} version - e.g. "20.1.0-rc.1"
+ * @returns {Array<number>|null} [major, minor, patch], or null if not a version
+ */
+function parseVersion(version) {
+  const match = typeof version === 'string' && version.trim().match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+  return match ? [Number(match[1]), Number(match[2] || 0), Number(match[3] || 0)] : null;
+}
+
+/**
+ * Compare two parsed versions
+ * @param {Array<number>} a - First version
+ * @param {Array<number>} b - Second version
+ * @returns {number} Negative, zero or positive
+ */
+function compare(a, b) {
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+export default {
+  SHARED_POLICIES,
+  SharedDependencyRegistry,
+  readSharedDependencies,
+  mapOwnCopies,
+  describeConflict,
+  createSharedDependencyError,
+  satisfies
+};
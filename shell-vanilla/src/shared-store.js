@@ -0,0 +1,170 @@
+/**
+ * Shared Store Module
+ * Small observable key-value store shared by the shell and its microfrontends
+ *
+ * Keys are namespaced like event bus topics ("shell/theme", "mfe1/cart").
+ * Every MFE receives a client scoped to its remote name: it may read and
+ * watch any key but only writes keys in its own namespace. Watchers
+ * registered through a client are removed when the MFE is unloaded.
+ */
+
+import { SHELL_NAMESPACE, qualifyTopic, topicNamespace } from './event-bus.js';
+
+export class SharedStore {
+  constructor() {
+    // Key -> current value
+    this.values = new Map();
+    // Key -> Set of { handler, owner }
+    this.watchers = new Map();
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - The key; bare keys belong to the shell namespace
+   * @returns {*} The value, or undefined if unset
+   */
+  get(key) {
+    return this.values.get(qualifyTopic(SHELL_NAMESPACE, key));
+  }
+
+  /**
+   * Check whether a key has a value
+   * @param {string} key - The key; bare keys belong to the shell namespace
+   * @returns {boolean} True if the key is set
+   */
+  has(key) {
+    return this.values.has(qualifyTopic(SHELL_NAMESPACE, key));
+  }
+
+  /**
+   * Set a value and notify watchers if it changed
+   * @param {string} key - The key; bare keys belong to the shell namespace
+   * @param {*} value - The new value; undefined removes the key
+   */
+  set(key, value) {
+    const qualified = qualifyTopic(SHELL_NAMESPACE, key);
+    const previous = this.values.get(qualified);
+    if (Object.is(previous, value)) {
+      return;
+    }
+
+    if (value === undefined) {
+      this.values.delete(qualified);
+    } else {
+      this.values.set(qualified, value);
+    }
+
+    this.watchers.get(qualified)?.forEach(({ handler }) => {
+      this._notify(handler, value, previous, qualified);
+    });
+  }
+
+  /**
+   * Watch a key; the handler is called right away with the current value, if set
+   * @param {string} key - The key; bare keys belong to the shell namespace
+   * @param {Function} handler - Called with (value, previous, key)
+   * @param {Object} options - Watch options
+   * @param {string} options.owner - Owner used by unsubscribeOwner
+   * @returns {Function} Function that stops watching
+   */
+  subscribe(key, handler, options = {}) {
+    const { owner = null } = options;
+    const qualified = qualifyTopic(SHELL_NAMESPACE, key);
+
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for store key "${qualified}" must be a function`);
+    }
+
+    if (!this.watchers.has(qualified)) {
+      this.watchers.set(qualified, new Set());
+    }
+    const watcher = { handler, owner };
+    this.watchers.get(qualified).add(watcher);
+
+    if (this.values.has(qualified)) {
+      this._notify(handler, this.values.get(qualified), undefined, qualified);
+    }
+
+    return () => this._remove(qualified, watcher);
+  }
+
+  /**
+   * Remove every watcher registered on behalf of an owner
+   * @param {string} owner - The owner, e.g. an MFE instance id
+   */
+  unsubscribeOwner(owner) {
+    for (const [key, watchers] of this.watchers) {
+      watchers.forEach(watcher => {
+        if (watcher.owner === owner) {
+          this._remove(key, watcher);
+        }
+      });
+    }
+  }
+
+  /**
+   * Copy of all values, for debugging
+   * @returns {Object<string, *>} Qualified key -> value
+   */
+  snapshot() {
+    return Object.fromEntries(this.values);
+  }
+
+  /**
+   * Create a client scoped to a namespace, as handed to MFEs
+   * @param {string} namespace - The namespace, normally the remote name
+   * @param {string} owner - Owner of the client's watchers, normally the MFE instance id
+   * @returns {Object} { namespace, get, has, set, subscribe, dispose }
+   */
+  createClient(namespace, owner = namespace) {
+    return {
+      namespace,
+      get: key => this.get(qualifyTopic(namespace, key)),
+      has: key => this.has(qualifyTopic(namespace, key)),
+      set: (key, value) => {
+        const qualified = qualifyTopic(namespace, key);
+        if (topicNamespace(qualified) !== namespace) {
+          throw new Error(`"${namespace}" may only write its own keys, not "${qualified}"`);
+        }
+        this.set(qualified, value);
+      },
+      subscribe: (key, handler) =>
+        this.subscribe(qualifyTopic(namespace, key), handler, { owner }),
+      dispose: () => this.unsubscribeOwner(owner)
+    };
+  }
+
+  /**
+   * Call a watcher, isolating the writer from its errors
+   * @private
+   * @param {Function} handler - The watcher
+   * @param {*} value - The new value
+   * @param {*} previous - The previous value
+   * @param {string} key - The qualified key
+   */
+  _notify(handler, value, previous, key) {
+    try {
+      handler(value, previous, key);
+    } catch (error) {
+      console.error(`Error in watcher of store key "${key}":`, error);
+    }
+  }
+
+  /**
+   * Remove a single watcher
+   * @private
+   * @param {string} key - The qualified key
+   * @param {Object} watcher - The watcher entry
+   */
+  _remove(key, watcher) {
+    const watchers = this.watchers.get(key);
+    watchers?.delete(watcher);
+    if (watchers?.size === 0) {
+      this.watchers.delete(key);
+    }
+  }
+}
+
+// Export a singleton instance
+export const sharedStore = new SharedStore();
+export default sharedStore;
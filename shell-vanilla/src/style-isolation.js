@@ -0,0 +1,181 @@
+/**
+ * Style Isolation Module
+ * Mounts MFEs inside a shadow root so shell and remote styles cannot leak into each other
+ *
+ * Only inherited CSS custom properties cross the boundary. The shell exposes
+ * a small, documented set (SHELL_CSS_PROPERTIES, defined in styles.css);
+ * everything else is reset on the shadow host.
+ *
+ * A remote's stylesheets reach its shadow root in three ways:
+ * - URLs listed in the manifest's "styles" field are linked into the root
+ * - <style> and <link rel="stylesheet"> elements the remote adds to
+ *   document.head are moved into the root while the instance lives, if
+ *   they can be attributed to it (see captureHeadStyles)
+ * - the mount context's styleRoot is the shadow root, for styles the
+ *   remote adds there itself
+ */
+
+/**
+ * Shell custom properties isolated MFEs may rely on
+ */
+export const SHELL_CSS_PROPERTIES = [
+  '--shell-font-family',
+  '--shell-text-color',
+  '--shell-background',
+  '--shell-surface',
+  '--shell-primary',
+  '--shell-border-color',
+  '--shell-radius'
+];
+
+/**
+ * Base styles of every shadow root: reset inherited shell styles, keep the custom properties
+ */
+const HOST_STYLES = `
+:host {
+  all: initial;
+  display: block;
+  font-family: var(--shell-font-family);
+  color: var(--shell-text-color);
+  line-height: 1.6;
+}
+.mfe-shadow-root {
+  display: block;
+}
+`;
+
+// Remote name -> { roots, baseUrl, captured } for every isolated instance alive
+const captures = new Map();
+let headObserver = null;
+
+/**
+ * Attach a shadow root to a host element and prepare the element the MFE mounts into
+ * @param {HTMLElement} host - The MFE host element
+ * @param {Array<string>} styles - Stylesheet URLs to link into the root
+ * @returns {{shadowRoot: ShadowRoot, mountPoint: HTMLElement}} The root and the mount element
+ */
+export function createShadowMount(host, styles = []) {
+  const shadowRoot = host.shadowRoot || host.attachShadow({ mode: 'open' });
+
+  const base = document.createElement('style');
+  base.textContent = HOST_STYLES;
+  shadowRoot.appendChild(base);
+
+  styles.forEach(href => {
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = href;
+    shadowRoot.appendChild(link);
+  });
+
+  const mountPoint = document.createElement('div');
+  mountPoint.className = 'mfe-shadow-root';
+  shadowRoot.appendChild(mountPoint);
+
+  return { shadowRoot, mountPoint };
+}
+
+/**
+ * Move the stylesheets a remote adds to document.head into its shadow root
+ * Runs from before the mount until the returned function is called, i.e. for
+ * the lifetime of the instance. A stylesheet belongs to the remote when it
+ * carries data-mfe or Angular's ng-app-id with the remote's name (an Angular
+ * remote providing APP_ID with its name gets this for free), or when it is a
+ * <link> below the remote's base URL. Other stylesheets stay in document.head,
+ * so shell and non-isolated MFEs mounting at the same time keep theirs.
+ * Several isolated instances of one remote each get a copy.
+ * @param {ShadowRoot} shadowRoot - The instance's shadow root
+ * @param {Object} remote - { name, baseUrl } where baseUrl is the directory the remote is served from
+ * @returns {Function} Stops capturing into this shadow root
+ */
+export function captureHeadStyles(shadowRoot, { name, baseUrl = null }) {
+  let capture = captures.get(name);
+  if (!capture) {
+    // A remote served from the shell's own directory cannot be told apart by URL
+    const ownBase = baseUrl && !document.baseURI.startsWith(baseUrl) ? baseUrl : null;
+    capture = { roots: new Set(), baseUrl: ownBase, captured: [] };
+    captures.set(name, capture);
+  }
+
+  // Styles another live instance already took out of the head
+  capture.captured
+    .filter(node => node.isConnected)
+    .forEach(node => insertStyle(shadowRoot, node.cloneNode(true)));
+  capture.roots.add(shadowRoot);
+
+  // Stylesheets the remote added before this mount, e.g. while it was imported
+  Array.from(document.head.children).forEach(adoptHeadNode);
+  if (!headObserver) {
+    headObserver = new MutationObserver(mutations => mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(adoptHeadNode);
+    }));
+    headObserver.observe(document.head, { childList: true });
+  }
+
+  return () => {
+    capture.roots.delete(shadowRoot);
+    if (capture.roots.size === 0 && captures.get(name) === capture) {
+      captures.delete(name);
+    }
+    if (captures.size === 0 && headObserver) {
+      headObserver.disconnect();
+      headObserver = null;
+    }
+  };
+}
+
+/**
+ * Move a stylesheet added to document.head into the shadow roots of the remote it belongs to
+ * @param {Node} node - The added node
+ */
+function adoptHeadNode(node) {
+  if (!isStylesheet(node) || node.parentNode !== document.head) {
+    return;
+  }
+  const capture = Array.from(captures.entries())
+    .find(([name, { baseUrl }]) => belongsTo(node, name, baseUrl))?.[1];
+  if (!capture) {
+    return;
+  }
+
+  const [first, ...others] = capture.roots;
+  others.forEach(root => insertStyle(root, node.cloneNode(true)));
+  insertStyle(first, node);
+  capture.captured = [...capture.captured.filter(captured => captured.isConnected), node];
+}
+
+/**
+ * Check whether a stylesheet element was added by a remote
+ * @param {Element} node - <style> or <link rel="stylesheet">
+ * @param {string} name - The remote name
+ * @param {string|null} baseUrl - The remote's base URL, if links can be matched by URL
+ * @returns {boolean} True if the stylesheet belongs to the remote
+ */
+function belongsTo(node, name, baseUrl) {
+  const owner = node.getAttribute('data-mfe') ?? node.getAttribute('ng-app-id');
+  if (owner !== null) {
+    return owner === name;
+  }
+  return Boolean(baseUrl) && node.nodeName === 'LINK' && node.href.startsWith(baseUrl);
+}
+
+/**
+ * Insert a stylesheet into a shadow root, before the element the MFE mounts into
+ * @param {ShadowRoot} shadowRoot - The shadow root
+ * @param {Element} node - The stylesheet element
+ */
+function insertStyle(shadowRoot, node) {
+  shadowRoot.insertBefore(node, shadowRoot.querySelector('.mfe-shadow-root'));
+}
+
+/**
+ * Check whether a node is a stylesheet element
+ * @param {Node} node - The node
+ * @returns {boolean} True for <style> and <link rel="stylesheet">
+ */
+function isStylesheet(node) {
+  return node.nodeName === 'STYLE' ||
+    (node.nodeName === 'LINK' && node.rel === 'stylesheet');
+}
+
+export default { SHELL_CSS_PROPERTIES, createShadowMount, captureHeadStyles };
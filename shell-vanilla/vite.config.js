@@ -1,10 +1,65 @@
-import { defineConfig } from 'vite';
+import { randomBytes } from 'node:crypto';
+import { defineConfig, loadEnv } from 'vite';
+import { readAllowedOrigins, buildContentSecurityPolicy } from './src/remote-security.js';
+
+/**
+ * Emit a Content-Security-Policy matching the remote origin allowlist
+ * The policy is added to index.html as a <meta> tag and written to
+ * dist/csp.txt for servers that set it as a header (which also allows
+ * directives a <meta> tag cannot carry, such as frame-ancestors).
+ * Builds without VITE_REMOTE_ORIGINS get no policy.
+ *
+ * script-src carries a nonce generated per build, which the loader sets on
+ * the import map it installs (VITE_CSP_NONCE, see src/import-map.js);
+ * without it the browser refuses the inline map and no remote can load.
+ */
+function contentSecurityPolicy() {
+  let policy = null;
+  const nonce = randomBytes(16).toString('base64');
+
+  return {
+    name: 'shell-content-security-policy',
+    apply: 'build',
+    config() {
+      return { define: { 'import.meta.env.VITE_CSP_NONCE': JSON.stringify(nonce) } };
+    },
+    configResolved(config) {
+      const env = loadEnv(config.mode, config.envDir || config.root, 'VITE_');
+      const allowlist = readAllowedOrigins(env.VITE_REMOTE_ORIGINS);
+      if (!allowlist) {
+        config.logger.warn('VITE_REMOTE_ORIGINS is not set: remotes may load from any origin and no Content-Security-Policy is emitted');
+        return;
+      }
+
+      // Devtools overrides may point remotes at a local dev server, but only
+      // dev builds (vite build --mode development) trust them
+      const sources = config.isProduction
+        ? allowlist
+        : [...allowlist, 'http://localhost:*', 'http://127.0.0.1:*'];
+      const connect = [env.VITE_FEDERATION_MANIFEST_URL, env.VITE_ERROR_REPORT_URL]
+        .filter(url => /^https?:\/\//.test(url || ''))
+        .map(url => new URL(url).origin);
+      policy = buildContentSecurityPolicy(sources, { connect: [...new Set(connect)], scriptNonce: nonce });
+    },
+    transformIndexHtml() {
+      return policy
+        ? [{ tag: 'meta', attrs: { 'http-equiv': 'Content-Security-Policy', content: policy }, injectTo: 'head-prepend' }]
+        : [];
+    },
+    generateBundle() {
+      if (policy) {
+        this.emitFile({ type: 'asset', fileName: 'csp.txt', source: `Content-Security-Policy: ${policy}\n` });
+      }
+    }
+  };
+}
 
 export default defineConfig({
   plugins: [
     // Note: We're not using @originjs/vite-plugin-federation because
     // Angular Native Federation uses a different format.
     // Instead, we load Native Federation modules manually in mfe-loader.js
+    contentSecurityPolicy()
   ],
   server: {
     port: 4200,